@@ -0,0 +1,379 @@
+/**
+ * Consent Screen
+ * Instagram-styled consent step shown over the page before Tap to Start.
+ * The text comes from the study config (Markdown or HTML), the participant
+ * must tick the checkbox to agree, and declining returns them to the survey
+ * with consent=declined. Video tracking cannot be enabled until consent is given.
+ * ConsentScreen.ready resolves with 'given' or 'declined' (null when disabled).
+ */
+
+(function() {
+    'use strict';
+
+    // Consent given in this tab is not asked again after a reload
+    const STORAGE_KEY = 'consent_given_version';
+
+    const options = {
+        enabled: false,
+        version: null,
+        title: 'Consent to take part',
+        text: '',
+        format: 'markdown',  // 'markdown' or 'html'
+        checkboxLabel: 'I have read the information above and agree to take part.',
+        agreeLabel: 'Continue',
+        declineLabel: 'I do not agree'
+    };
+
+    // Shown when the study config cannot be loaded or has no consent text, so a
+    // participant is never left on a page that cannot start; recorded as version 'built-in'
+    const BUILT_IN_CONSENT = {
+        version: 'built-in',
+        text: [
+            '## About this study',
+            '',
+            'You will see an Instagram-style feed with a short video. We record how long the video plays and which buttons you tap. We do not record your camera, microphone or anything outside this page.',
+            '',
+            '- Your Prolific ID is stored with the data so we can link it to your survey answers.',
+            '- You can stop at any time by closing the page.',
+            '',
+            'Questions? Contact the research team through Prolific.'
+        ].join('\n')
+    };
+
+    let status = null;  // null (not asked yet), 'given' or 'declined'
+
+    const STYLES = `
+        .consent-overlay {
+            position: fixed;
+            inset: 0;
+            z-index: 2100;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.65);
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+        }
+
+        .consent-modal {
+            display: flex;
+            flex-direction: column;
+            background: #fff;
+            border: 1px solid #dbdbdb;
+            border-radius: 12px;
+            width: 90%;
+            max-width: 480px;
+            max-height: 90vh;
+            padding: 24px 24px 20px;
+            color: #262626;
+        }
+
+        .consent-title {
+            font-size: 18px;
+            font-weight: 600;
+            text-align: center;
+            margin-bottom: 12px;
+        }
+
+        .consent-text {
+            flex: 1;
+            overflow-y: auto;
+            font-size: 14px;
+            line-height: 1.5;
+            padding: 12px;
+            background: #fafafa;
+            border: 1px solid #efefef;
+            border-radius: 8px;
+        }
+
+        .consent-text h1, .consent-text h2, .consent-text h3 {
+            font-size: 15px;
+            margin: 12px 0 6px;
+        }
+
+        .consent-text p, .consent-text ul {
+            margin: 0 0 10px;
+        }
+
+        .consent-text a {
+            color: #00376b;
+        }
+
+        .consent-version {
+            margin-top: 6px;
+            font-size: 12px;
+            color: #737373;
+            text-align: right;
+        }
+
+        .consent-check {
+            display: flex;
+            gap: 8px;
+            align-items: flex-start;
+            margin: 14px 0;
+            font-size: 14px;
+            line-height: 1.4;
+        }
+
+        .consent-agree {
+            width: 100%;
+            padding: 7px 16px;
+            font-size: 14px;
+            font-weight: 600;
+            color: #fff;
+            background: #0095f6;
+            border: none;
+            border-radius: 8px;
+            cursor: pointer;
+        }
+
+        .consent-agree:disabled {
+            opacity: 0.4;
+            cursor: default;
+        }
+
+        .consent-decline {
+            margin-top: 10px;
+            padding: 6px;
+            font-size: 14px;
+            color: #ed4956;
+            background: none;
+            border: none;
+            cursor: pointer;
+        }
+    `;
+
+    /**
+     * Override defaults, e.g. configure({ enabled: true, version: '2.1', text: '...' })
+     */
+    function configure(overrides = {}) {
+        Object.assign(options, overrides);
+    }
+
+    function escapeHtml(text) {
+        return text.replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    /**
+     * Inline Markdown: **bold**, *italic* and [links](https://...)
+     */
+    function renderInline(text) {
+        return escapeHtml(text)
+            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*(.+?)\*/g, '<em>$1</em>')
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
+    }
+
+    /**
+     * Small Markdown subset - headings (#), bullet lists (- or *) and paragraphs -
+     * which is all a consent form needs
+     */
+    function renderMarkdown(markdown) {
+        return markdown.split(/\n\s*\n/).map(block => {
+            const lines = block.trim().split('\n');
+            const heading = /^(#{1,3})\s+(.*)$/.exec(lines[0]);
+            if (heading && lines.length === 1) {
+                const level = heading[1].length;
+                return '<h' + level + '>' + renderInline(heading[2]) + '</h' + level + '>';
+            }
+            if (lines.every(line => /^\s*[-*]\s+/.test(line))) {
+                return '<ul>' + lines.map(line => '<li>' + renderInline(line.replace(/^\s*[-*]\s+/, '')) + '</li>').join('') + '</ul>';
+            }
+            return block.trim() ? '<p>' + lines.map(renderInline).join('<br>') + '</p>' : '';
+        }).join('');
+    }
+
+    function getTextHtml() {
+        return options.format === 'html' ? options.text : renderMarkdown(options.text);
+    }
+
+    function track(eventName, properties, trackingOptions) {
+        if (window.Tracking) {
+            window.Tracking.track(eventName, {
+                consent_version: options.version,
+                ...properties
+            }, trackingOptions);
+        }
+    }
+
+    function whenDomReady() {
+        return new Promise((resolve) => {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', resolve, { once: true });
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    function injectStyles() {
+        if (document.getElementById('consent-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'consent-styles';
+        style.textContent = STYLES;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Build the modal
+     */
+    function createModal() {
+        const overlay = document.createElement('div');
+        overlay.className = 'consent-overlay';
+        overlay.id = 'consent-screen';
+        overlay.innerHTML =
+            '<form class="consent-modal" novalidate>' +
+                '<div class="consent-title"></div>' +
+                '<div class="consent-text"></div>' +
+                '<div class="consent-version"></div>' +
+                '<label class="consent-check"><input type="checkbox" name="consent"><span></span></label>' +
+                '<button type="submit" class="consent-agree" disabled></button>' +
+                '<button type="button" class="consent-decline"></button>' +
+            '</form>';
+
+        overlay.querySelector('.consent-title').textContent = options.title;
+        overlay.querySelector('.consent-text').innerHTML = getTextHtml();
+        overlay.querySelector('.consent-version').textContent = options.version ? 'Version ' + options.version : '';
+        overlay.querySelector('.consent-check span').textContent = options.checkboxLabel;
+        overlay.querySelector('.consent-agree').textContent = options.agreeLabel;
+        overlay.querySelector('.consent-decline').textContent = options.declineLabel;
+        return overlay;
+    }
+
+    /**
+     * Send a participant who declined back to the survey (return_reason and
+     * consent tell the survey why); events are kept if the participant ID is known
+     */
+    async function decline() {
+        if (window.SurveyReturn && window.SurveyReturn.returnToSurvey) {
+            await window.SurveyReturn.ready;
+            window.SurveyReturn.returnToSurvey('consent_declined');
+        }
+    }
+
+    /**
+     * Show the consent screen and resolve with 'given' or 'declined'
+     */
+    function show() {
+        return whenDomReady().then(() => new Promise((resolve) => {
+            injectStyles();
+
+            const overlay = createModal();
+            const form = overlay.querySelector('form');
+            const checkbox = form.querySelector('[name="consent"]');
+            const agree = form.querySelector('.consent-agree');
+            const shownAt = Date.now();
+
+            track('consent_shown', {});
+
+            checkbox.addEventListener('change', () => {
+                agree.disabled = !checkbox.checked;
+            });
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (!checkbox.checked) return;
+
+                status = 'given';
+                try {
+                    sessionStorage.setItem(STORAGE_KEY, options.version || '');
+                } catch (error) {
+                    // Storage disabled - consent is asked again after a reload
+                }
+                overlay.remove();
+                console.log('ConsentScreen: Consent given, version', options.version);
+                track('consent_given', {
+                    checkbox_checked: true,
+                    time_on_screen_ms: Date.now() - shownAt
+                });
+                resolve(status);
+            });
+
+            form.querySelector('.consent-decline').addEventListener('click', () => {
+                status = 'declined';
+                overlay.remove();
+                console.log('ConsentScreen: Consent declined, version', options.version);
+                // Nothing identifying may be sent without consent, so the decline is anonymous
+                track('consent_declined', {
+                    declined: true,
+                    checkbox_checked: checkbox.checked,
+                    time_on_screen_ms: Date.now() - shownAt
+                }, { anonymous: true });
+                decline();
+                resolve(status);
+            });
+
+            document.body.appendChild(overlay);
+            checkbox.focus();
+        }));
+    }
+
+    /**
+     * True once consent is given (always true when the consent step is disabled)
+     */
+    function hasConsented() {
+        return !options.enabled || status === 'given';
+    }
+
+    function getStatus() {
+        return status;
+    }
+
+    const configReady = (window.StudyConfig ? window.StudyConfig.ready : Promise.resolve(null)).then(config => {
+        const consent = config && config.consent;
+        if (consent) {
+            configure({
+                enabled: !!consent.enabled,
+                version: consent.version || null,
+                title: consent.title || options.title,
+                text: Array.isArray(consent.text) ? consent.text.join('\n') : (consent.text || ''),
+                format: consent.format || options.format,
+                checkboxLabel: consent.checkbox_label || options.checkboxLabel,
+                agreeLabel: consent.agree_label || options.agreeLabel,
+                declineLabel: consent.decline_label || options.declineLabel
+            });
+        }
+    }).catch(error => {
+        // Consent must still be asked before tracking starts
+        console.error('ConsentScreen: Could not apply study config, using the built-in consent text:', error);
+        configure({ enabled: true, version: BUILT_IN_CONSENT.version, text: BUILT_IN_CONSENT.text, format: 'markdown' });
+    });
+
+    /**
+     * Ask for consent once the text is known, unless given earlier in this tab
+     */
+    function start() {
+        if (!options.enabled) {
+            return null;
+        }
+
+        let storedVersion = null;
+        try {
+            storedVersion = sessionStorage.getItem(STORAGE_KEY);
+        } catch (error) {
+            // Storage disabled
+        }
+        if (storedVersion !== null && storedVersion === (options.version || '')) {
+            status = 'given';
+            console.log('ConsentScreen: Consent already given in this tab, version', options.version);
+            return status;
+        }
+
+        if (!options.text) {
+            console.error('ConsentScreen: No consent text configured (consent.text), using the built-in consent text');
+            configure({ version: BUILT_IN_CONSENT.version, text: BUILT_IN_CONSENT.text, format: 'markdown' });
+        }
+        return show();
+    }
+
+    // Expose API
+    window.ConsentScreen = {
+        configure: configure,
+        hasConsented: hasConsented,
+        getStatus: getStatus,
+        renderMarkdown: renderMarkdown,
+        ready: configReady.then(start)
+    };
+
+})();
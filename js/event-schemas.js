@@ -0,0 +1,55 @@
+/**
+ * Event Schemas
+ * Checks tracked events against config/event-schemas.json, the registry the
+ * API enforces (unknown or malformed events end up in its quarantine). Used by
+ * MongoTracker in debug mode so mismatches show up in the console while a
+ * study is being built; the registry is only fetched the first time it is needed.
+ * Validation is js/json-schema.js, the same module the API uses; load it first.
+ */
+
+(function() {
+    'use strict';
+
+    const REGISTRY_URL = 'config/event-schemas.json';
+
+    let registryPromise = null;
+
+    function load() {
+        if (!registryPromise) {
+            registryPromise = fetch(REGISTRY_URL, { cache: 'no-cache' }).then(response => {
+                if (!response.ok) {
+                    throw new Error('Could not load event schemas: ' + response.status);
+                }
+                return response.json();
+            }).then(registry => {
+                window.EventSchemas.version = registry.version;
+                console.log('EventSchemas: Loaded schema registry, version', registry.version);
+                return registry;
+            });
+        }
+        return registryPromise;
+    }
+
+    /**
+     * Check an event against the registry
+     * Resolves with { known, errors }; properties are compared as they will be
+     * sent (JSON), so undefined values are dropped and NaN becomes null
+     */
+    async function check(eventName, properties) {
+        const registry = await load();
+        const schema = registry.events[eventName];
+        if (!schema) {
+            return { known: false, errors: [] };
+        }
+        return { known: true, errors: window.JsonSchema.validateSchema(schema, JSON.parse(JSON.stringify(properties))) };
+    }
+
+    // Expose API
+    window.EventSchemas = {
+        version: null,  // Set once the registry is loaded
+        load: load,
+        validate: window.JsonSchema.validateSchema,
+        check: check
+    };
+
+})();
@@ -1,26 +1,33 @@
 /**
  * GA4 Lite - Shared GA initialization and tracking
  * Handles PROLIFIC_ID from query string or localStorage
+ * When the API pseudonymizes participant IDs, GA gets the pseudonym instead of
+ * the Prolific ID (and no ID at all if the API cannot be asked)
  */
 
 (function() {
     'use strict';
     
-    // Configuration  
-    const GA_MEASUREMENT_ID = 'G-GHYPLRCS4Z'; // Feed Video study measurement ID
+    // Configuration - measurement ID comes from analytics.ga_measurement_id in the study config
     const PROLIFIC_ID_KEY = 'prolific_id';
+    const QUEUE_RETRY_INTERVAL = 100; // ms between checks while gtag loads
+    const MAX_QUEUE_RETRIES = 150; // Events still waiting after this many checks (15 seconds) are dropped
     
     // Global tracking state
     window.GALite = {
         isLoaded: false,
-        userId: null,
-        measurementId: GA_MEASUREMENT_ID
+        isInitializing: false,
+        isUnavailable: false,  // No measurement ID, or gtag.js failed to load - events are dropped
+        userId: null,  // ID sent to GA - the pseudonym when the API pseudonymizes IDs
+        measurementId: null
     };
     
+    let prolificId = null;
+    
     /**
-     * Get PROLIFIC_ID from URL query string or mandatory prompt (no localStorage storage)
+     * Get PROLIFIC_ID from URL query string or the mandatory in-page form (no localStorage storage)
      */
-    function getProlificId() {
+    async function getProlificId() {
         console.log('Getting PROLIFIC_ID...');
         
         // Check URL query string first
@@ -33,48 +40,106 @@
             return prolificFromUrl;
         }
         
-        // If no URL parameter, MANDATORY prompt - cannot be escaped
-        console.log('No PROLIFIC_ID in URL, prompting user (mandatory)...');
+        // If no URL parameter, MANDATORY form - validated and confirmed, cannot be dismissed
+        if (!window.ParticipantIdForm) {
+            console.error('❌ participant-id-form.js not loaded, cannot ask for PROLIFIC_ID');
+            return null;
+        }
         
-        let prolificId = null;
-        while (!prolificId || prolificId.trim() === '') {
-            prolificId = prompt('⚠️ REQUIRED: Please enter your Participant ID to continue.\n\n(This cannot be skipped - press OK after entering your ID)');
-            
-            // If user pressed Cancel/Escape, show warning and try again
-            if (prolificId === null) {
-                alert('❌ Participant ID is required to participate in this study.\n\nPlease enter your ID when prompted.');
-                continue;
+        console.log('No PROLIFIC_ID in URL, asking participant (mandatory)...');
+        // With js/tracking.js loaded the form tracks rejected entries itself (GA4 sink included)
+        window.ParticipantIdForm.onValidationFailure(failure => {
+            if (!window.Tracking) {
+                track('participant_id_validation_failed', failure);
             }
-            
-            // If user entered empty/whitespace, show warning and try again
-            if (prolificId.trim() === '') {
-                alert('❌ Please enter a valid Participant ID.\n\nEmpty entries are not allowed.');
-                continue;
-            }
-            
-            // Valid ID entered
-            prolificId = prolificId.trim();
-            console.log('User entered valid PROLIFIC_ID:', prolificId);
-            break;
-        }
+        });
         
-        console.log('Using PROLIFIC_ID from mandatory prompt:', prolificId);
+        const prolificId = await window.ParticipantIdForm.request();
+        console.log('Using PROLIFIC_ID from mandatory form:', prolificId);
         return prolificId;
     }
     
+    /**
+     * Ask the API which ID analytics may use for this participant
+     * Falls back to no ID at all - the raw Prolific ID is only sent when the API
+     * says pseudonymization is off
+     */
+    async function getAnalyticsId(participantId) {
+        if (!participantId) {
+            return null;
+        }
+        
+        const apiBase = window.MongoTracker && window.MongoTracker.apiBase ? window.MongoTracker.apiBase :
+            ((window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') ? 'http://localhost:3000/api' : '/api');
+        try {
+            const response = await fetch(apiBase + '/participants/pseudonym', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ participant_id: participantId })
+            });
+            if (!response.ok) {
+                throw new Error('Pseudonym request failed: ' + response.status);
+            }
+            const result = await response.json();
+            return result.analytics_id || null;
+        } catch (error) {
+            console.warn('Could not get analytics ID, sending GA events without a user ID:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Page URL for GA with the Prolific ID (from ?PROLIFIC_ID=) replaced by the analytics ID
+     */
+    function getPageLocation() {
+        const href = window.location.href;
+        if (!prolificId || prolificId === window.GALite.userId) {
+            return href;
+        }
+        return href.split(encodeURIComponent(prolificId)).join(window.GALite.userId || '');
+    }
+    
+    /**
+     * Get the GA4 measurement ID from the study config (js/study-config.js)
+     */
+    async function getMeasurementId() {
+        if (!window.StudyConfig) {
+            return null;
+        }
+        try {
+            await window.StudyConfig.ready;
+            return window.StudyConfig.get('analytics.ga_measurement_id', null);
+        } catch (error) {
+            return null;
+        }
+    }
+    
     /**
      * Initialize GA4 with user identification
      */
-    function initializeGA() {
-        if (!window.GALite.isLoaded) {
+    async function initializeGA() {
+        if (!window.GALite.isLoaded && !window.GALite.isInitializing) {
+            window.GALite.isInitializing = true;
+            
             try {
-                // Get user ID
-                window.GALite.userId = getProlificId();
+                // Get user ID (events tracked meanwhile wait in track()'s retry loop)
+                prolificId = await getProlificId();
+                window.GALite.userId = await getAnalyticsId(prolificId);
+                
+                window.GALite.measurementId = await getMeasurementId();
+                if (!window.GALite.measurementId) {
+                    console.error('❌ No GA4 measurement ID in the study config (analytics.ga_measurement_id)');
+                    markUnavailable();
+                    return;
+                }
+                const measurementId = window.GALite.measurementId;
                 
                 // Load gtag.js
                 const script = document.createElement('script');
                 script.async = true;
-                script.src = `https://www.googletagmanager.com/gtag/js?id=${GA_MEASUREMENT_ID}`;
+                script.src = `https://www.googletagmanager.com/gtag/js?id=${measurementId}`;
                 document.head.appendChild(script);
                 
                 // Initialize gtag
@@ -87,7 +152,8 @@
                 script.onload = function() {
                     const config = {
                         send_page_view: true,
-                        debug_mode: false
+                        debug_mode: false,
+                        page_location: getPageLocation()
                     };
                     
                     if (window.GALite.userId) {
@@ -95,25 +161,52 @@
                         gtag('set', 'user_properties', { participant_id: window.GALite.userId });
                     }
                     
-                    gtag('config', GA_MEASUREMENT_ID, config);
+                    gtag('config', measurementId, config);
                     
                     window.GALite.isLoaded = true;
+                    window.GALite.isInitializing = false;
                     console.log('✅ GA4 initialized successfully with user ID:', window.GALite.userId);
                 };
                 
+                // e.g. blocked by an ad blocker
+                script.onerror = function() {
+                    console.error('❌ Could not load gtag.js');
+                    markUnavailable();
+                };
+                
             } catch (error) {
                 console.error('❌ Error initializing GA4:', error);
+                markUnavailable();
             }
         }
     }
     
+    /**
+     * GA4 cannot load on this page; events waiting for it are dropped
+     */
+    function markUnavailable() {
+        window.GALite.isInitializing = false;
+        window.GALite.isUnavailable = true;
+    }
+    
     /**
      * Track custom event with automatic user_id and participant_id inclusion
+     * Events tracked while gtag loads wait up to MAX_QUEUE_RETRIES checks
      */
     function track(eventName, parameters = {}) {
+        sendWhenLoaded(eventName, parameters, 0);
+    }
+    
+    function sendWhenLoaded(eventName, parameters, retries) {
         if (!window.GALite.isLoaded || typeof window.gtag !== 'function') {
-            console.warn('GA4 not loaded yet, queuing event:', eventName);
-            setTimeout(() => track(eventName, parameters), 100);
+            if (window.GALite.isUnavailable || retries >= MAX_QUEUE_RETRIES) {
+                console.warn('GA4 not available, dropping event:', eventName);
+                return;
+            }
+            if (retries === 0) {
+                console.warn('GA4 not loaded yet, queuing event:', eventName);
+            }
+            setTimeout(() => sendWhenLoaded(eventName, parameters, retries + 1), QUEUE_RETRY_INTERVAL);
             return;
         }
         
@@ -8,6 +8,7 @@
     
     // Configuration
     const VIDEO_ID = 'nyu_feed_youtube_ad';
+    const GA_VIDEO_SINKS = ['ga4'];  // js/tracking.js sinks these events go to
     
     // Session tracking state
     let sessionState = {
@@ -392,19 +393,23 @@
     }
     
     /**
-     * Track video event using GALite
+     * Track video event through js/tracking.js's GA4 sink only (GALite directly
+     * when the page does not load the facade) - these events are GA4-shaped and
+     * do not match the API's schema registry
      */
     function trackVideoEvent(eventName, parameters = {}) {
-        if (window.GALite && window.GALite.track) {
-            const eventData = {
-                video_id: VIDEO_ID,
-                ...parameters,
-                study_id: 'instagram_feed_video_study'
-            };
-            
+        const eventData = {
+            video_id: VIDEO_ID,
+            ...parameters,
+            study_id: 'instagram_feed_video_study'
+        };
+        
+        if (window.Tracking) {
+            window.Tracking.track(eventName, eventData, { sinks: GA_VIDEO_SINKS });
+        } else if (window.GALite && window.GALite.track) {
             window.GALite.track(eventName, eventData);
         } else {
-            console.log('GALite not available, event:', eventName, parameters);
+            console.log('Tracking not available, event:', eventName, parameters);
         }
     }
     
@@ -0,0 +1,105 @@
+/**
+ * JSON Schema validation
+ * The subset of JSON Schema the event registry (config/event-schemas.json) uses:
+ * type, enum, const, required, properties, additionalProperties, items,
+ * minimum/maximum, minLength/maxLength and maxItems. Other keywords
+ * (description, ...) are ignored.
+ * One copy for both sides: the API requires it (server/lib/event-schemas.js)
+ * and the tracker's debug mode loads it as window.JsonSchema (js/event-schemas.js).
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.JsonSchema = factory();
+    }
+})(typeof window !== 'undefined' ? window : this, function() {
+    'use strict';
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        if (type === 'integer') return Number.isInteger(value);
+        if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+        return typeOf(value) === type;
+    }
+
+    /**
+     * Validate a value against a schema
+     * Returns a list of error messages (empty when the value is valid)
+     */
+    function validateSchema(schema, value, path = 'properties') {
+        const errors = [];
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => matchesType(value, type))) {
+                return [`${path} must be of type ${types.join(' or ')}`];
+            }
+        }
+        if (schema.enum !== undefined && !schema.enum.includes(value)) {
+            errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+        if (schema.const !== undefined && value !== schema.const) {
+            errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${path} must be at least ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${path} must be at most ${schema.maximum}`);
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${path} must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${path} must be at most ${schema.maxLength} characters`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path} must have at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+                });
+            }
+        }
+
+        if (typeOf(value) === 'object') {
+            const properties = schema.properties || {};
+            (schema.required || []).forEach(name => {
+                if (!(name in value)) {
+                    errors.push(`${path}.${name} is required`);
+                }
+            });
+            Object.keys(value).forEach(name => {
+                if (properties[name]) {
+                    errors.push(...validateSchema(properties[name], value[name], `${path}.${name}`));
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${path}.${name} is not allowed`);
+                } else if (typeOf(schema.additionalProperties) === 'object') {
+                    errors.push(...validateSchema(schema.additionalProperties, value[name], `${path}.${name}`));
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    return { validateSchema: validateSchema };
+});
@@ -1,19 +1,152 @@
 /**
  * MongoDB Tracker - FEED VIDEO Study Only
  * Tracks total time spent watching the video using YouTube API
- * Based on GA4 version but sends to MongoDB instead
+ * Based on GA4 version; events go through js/tracking.js, whose sinks include MongoDB
  */
 
 (function() {
     'use strict';
     
-    if (typeof window.MongoTracker === 'undefined') {
-        console.error('MongoFeedVideoTracker: Base tracker not loaded');
+    if (typeof window.MongoTracker === 'undefined' || typeof window.Tracking === 'undefined') {
+        console.error('MongoFeedVideoTracker: Base tracker or tracking.js not loaded');
         return;
     }
     
-    if (!window.MongoTracker.isInitialized) {
-        window.MongoTracker.initialize('feed_video');
+    // Study settings (video, condition, participant ID format) from js/study-config.js
+    let studyConfig = null;
+    const configReady = window.StudyConfig ?
+        window.StudyConfig.ready : Promise.reject(new Error('study-config.js not loaded'));
+    
+    /**
+     * Apply the study configuration to the shared modules, then initialize tracking
+     */
+    configReady.then(config => {
+        studyConfig = config;
+        
+        if (config.tracking && config.tracking.url_context_params) {
+            window.MongoTracker.urlContextParams = config.tracking.url_context_params;
+        }
+        if (config.tracking && config.tracking.session_resume_minutes) {
+            window.MongoTracker.sessionResumeWindow = config.tracking.session_resume_minutes * 60 * 1000;
+        }
+        if (config.tracking && config.tracking.debug) {
+            window.MongoTracker.debug = true;
+        }
+        if (config.participation && config.participation.enabled) {
+            window.MongoTracker.participationCheck = true;
+        }
+        if (config.assignment && config.assignment.enabled) {
+            window.MongoTracker.conditionAssignment = true;
+        }
+        if (window.ParticipantIdForm && config.participant_id) {
+            window.ParticipantIdForm.configure({
+                pattern: config.participant_id.pattern ? new RegExp(config.participant_id.pattern) : null,
+                patternHint: config.participant_id.pattern_hint || ''
+            });
+        }
+        return config.condition;
+    }).catch(error => {
+        console.error('MongoFeedVideoTracker: No study config, detecting study type from the page:', error);
+        return null;
+    }).then(condition => {
+        if (!window.MongoTracker.isInitialized) {
+            // Resolves once the participant ID is known; events tracked meanwhile are buffered
+            window.MongoTracker.initialize(condition)
+                .then(restoreVideoState)
+                .then(followAssignment)
+                .catch(() => {
+                    // Logged by the base tracker
+                });
+        }
+    });
+    
+    /**
+     * Send the participant to their assigned arm when it is not this page's
+     * (e.g. assigned reel_video but opened the feed_video link)
+     */
+    async function followAssignment() {
+        const assignment = window.MongoTracker.assignment;
+        if (!assignment || !assignment.condition || assignment.condition === getCondition()) {
+            return;
+        }
+        
+        const armUrls = (studyConfig && studyConfig.assignment && studyConfig.assignment.arm_urls) || {};
+        const armUrl = armUrls[assignment.condition];
+        if (!armUrl) {
+            console.error('MongoFeedVideoTracker: No URL configured for assigned condition', assignment.condition);
+            window.Tracking.track('assignment_mismatch', {
+                assigned_condition: assignment.condition,
+                page_condition: getCondition()
+            });
+            return;
+        }
+        
+        // Carry Prolific/survey parameters over to the arm's page
+        const target = new URL(armUrl, window.location.href);
+        new URLSearchParams(window.location.search).forEach((value, key) => {
+            if (!target.searchParams.has(key)) {
+                target.searchParams.set(key, value);
+            }
+        });
+        
+        window.Tracking.enqueue('assignment_redirect', {
+            assigned_condition: assignment.condition,
+            page_condition: getCondition(),
+            target_url: target.href
+        });
+        await window.Tracking.flush({ reason: 'assignment_redirect' });
+        window.location.replace(target.href);
+    }
+    
+    /**
+     * Carry the exposure of a resumed session over (after a reload), from the
+     * snapshot kept in storage or else the last summary the API received
+     * Added to, not replacing, the current state in case playback already started
+     */
+    function restoreVideoState() {
+        const resumed = window.MongoTracker.resumedSession;
+        if (!resumed) return;
+        
+        const snapshot = resumed.state.video || resumed.last_summary;
+        if (!snapshot) return;
+        
+        videoState.totalWatchTimeSeconds += snapshot.total_watch_time_seconds || 0;
+        videoState.playCount += snapshot.play_count || 0;
+        videoState.completionCount += snapshot.completion_count || 0;
+        videoState.maxProgressReached = Math.max(videoState.maxProgressReached, snapshot.max_progress_reached || 0);
+        (snapshot.milestones_reached || []).forEach(milestone => videoState.milestonesReached.add(milestone));
+        if (videoState.totalWatchTimeSeconds > 0 || videoState.playCount > 0) {
+            videoState.hasStartedOnce = true;
+        }
+        
+        console.log('MongoFeedVideoTracker: Restored', videoState.totalWatchTimeSeconds.toFixed(2), 's of watch time from', resumed.resumed_from);
+        window.Tracking.track('feed_video_state_restored', {
+            resume_count: resumed.resume_count,
+            restored_from: resumed.state.video ? 'storage' : 'server',
+            total_watch_time_seconds: Math.round(videoState.totalWatchTimeSeconds),
+            play_count: videoState.playCount,
+            milestones_reached: Array.from(videoState.milestonesReached).sort((a,b) => a-b),
+            condition: getCondition()
+        });
+        // Stored right away, so another reload before playback resumes loses nothing
+        saveVideoState();
+    }
+    
+    /**
+     * Keep the accumulated exposure with the session so a reload can restore it
+     */
+    function saveVideoState() {
+        window.MongoTracker.setSessionState('video', {
+            total_watch_time_seconds: videoState.totalWatchTimeSeconds,
+            play_count: videoState.playCount,
+            completion_count: videoState.completionCount,
+            milestones_reached: Array.from(videoState.milestonesReached),
+            max_progress_reached: videoState.maxProgressReached
+        });
+    }
+    
+    function getCondition() {
+        return studyConfig ? studyConfig.condition : window.MongoTracker.studyType;
     }
     
     // Video tracking state (similar to GA4 version)
@@ -170,10 +303,10 @@
      * Track video start
      */
     function trackVideoStart() {
-        window.MongoTracker.track('feed_video_start', {
+        window.Tracking.track('feed_video_start', {
             video_duration: videoState.duration,
-            video_id: 'nyu_feed_video',
-            condition: 'feed_video'
+            video_id: studyConfig ? studyConfig.video.video_id : null,
+            condition: getCondition()
         });
     }
     
@@ -181,11 +314,12 @@
      * Track watch time (periodic updates)
      */
     function trackWatchTime(totalSeconds) {
-        window.MongoTracker.track('feed_video_watch_time', {
+        window.Tracking.track('feed_video_watch_time', {
             watch_time_seconds: totalSeconds,
             watch_time_minutes: Math.round((totalSeconds / 60) * 100) / 100,
-            condition: 'feed_video'
+            condition: getCondition()
         });
+        saveVideoState();
     }
     
     /**
@@ -199,12 +333,12 @@
         videoState.milestonesReached.add(milestone);
         const currentTime = videoState.player ? videoState.player.getCurrentTime() : 0;
         
-        window.MongoTracker.track('feed_video_progress', {
+        window.Tracking.track('feed_video_progress', {
             milestone: milestone,
             milestone_percent: milestone,
             current_time: Math.round(currentTime),
             total_watch_time: Math.round(videoState.totalWatchTimeSeconds),
-            condition: 'feed_video'
+            condition: getCondition()
         });
         
         console.log('MongoFeedVideoTracker: Milestone reached:', milestone + '%');
@@ -217,7 +351,7 @@
         const completionRate = videoState.duration > 0 ? 
             (videoState.totalWatchTimeSeconds / videoState.duration) * 100 : 0;
         
-        window.MongoTracker.track('feed_video_complete', {
+        window.Tracking.track('feed_video_complete', {
             total_watch_time_seconds: Math.round(videoState.totalWatchTimeSeconds),
             total_watch_time_minutes: Math.round((videoState.totalWatchTimeSeconds / 60) * 100) / 100,
             video_duration: videoState.duration,
@@ -229,7 +363,7 @@
             milestone_50_reached: videoState.milestonesReached.has(50),
             milestone_75_reached: videoState.milestonesReached.has(75),
             milestone_100_reached: videoState.milestonesReached.has(100),
-            condition: 'feed_video'
+            condition: getCondition()
         });
     }
     
@@ -271,12 +405,13 @@
     }
     
     /**
-     * Handle page unload - report final results
+     * Handle page hide/unload - report final results
+     * Registered with MongoTracker.onBeforeFlush so the summary is queued before the exit flush
      */
-    function handleUnload() {
+    function handleUnload(reason) {
         if (!videoState.isTrackingEnabled || !videoState.hasStartedOnce) return;
         
-        // Add any current play time
+        // Add any current play time, and stop counting until the player reports PLAYING again
         if (videoState.currentPlayStartTime !== null && videoState.player) {
             try {
                 const currentTime = videoState.player.getCurrentTime();
@@ -287,20 +422,21 @@
             } catch (error) {
                 console.error('MongoFeedVideoTracker: Error getting final time:', error);
             }
+            videoState.currentPlayStartTime = null;
         }
         
         // Track final summary
-        trackVideoSummary();
+        trackVideoSummary(reason);
     }
     
     /**
      * Track final summary
      */
-    function trackVideoSummary() {
+    function trackVideoSummary(reason) {
         const completionRate = videoState.duration > 0 ? 
             (videoState.totalWatchTimeSeconds / videoState.duration) * 100 : 0;
         
-        window.MongoTracker.track('feed_video_summary', {
+        window.Tracking.track('feed_video_summary', {
             total_watch_time_seconds: Math.round(videoState.totalWatchTimeSeconds),
             total_watch_time_minutes: Math.round((videoState.totalWatchTimeSeconds / 60) * 100) / 100,
             video_duration: videoState.duration,
@@ -309,16 +445,60 @@
             completion_count: videoState.completionCount,
             milestones_reached: Array.from(videoState.milestonesReached).sort((a,b) => a-b),
             max_progress_reached: Math.round(videoState.maxProgressReached),
-            condition: 'feed_video'
+            flush_reason: reason,
+            // Totals include the exposure restored from earlier loads of a resumed session
+            session_resumed: window.MongoTracker.resumeCount > 0,
+            resume_count: window.MongoTracker.resumeCount,
+            condition: getCondition()
         });
+        saveVideoState();
         
         console.log('MongoFeedVideoTracker: Final summary -', videoState.totalWatchTimeSeconds.toFixed(2), 'seconds');
     }
     
+    /**
+     * Current exposure, including the play segment still in progress
+     * Read-only: does not change videoState, so it is safe to call at any time
+     */
+    function getExposureSummary() {
+        let totalWatchTimeSeconds = videoState.totalWatchTimeSeconds;
+        if (videoState.currentPlayStartTime !== null && videoState.player) {
+            try {
+                const watchedDuration = videoState.player.getCurrentTime() - videoState.currentPlayStartTime;
+                if (watchedDuration > 0) {
+                    totalWatchTimeSeconds += watchedDuration;
+                }
+            } catch (error) {
+                // Player not ready - report what has been accumulated
+            }
+        }
+        
+        const completionRate = videoState.duration > 0 ? 
+            (totalWatchTimeSeconds / videoState.duration) * 100 : 0;
+        
+        return {
+            total_watch_time_seconds: Math.round(totalWatchTimeSeconds),
+            video_duration: videoState.duration,
+            completion_rate: Math.min(100, Math.round(completionRate)),
+            play_count: videoState.playCount,
+            completion_count: videoState.completionCount,
+            milestones_reached: Array.from(videoState.milestonesReached).sort((a,b) => a-b),
+            max_progress_reached: Math.round(videoState.maxProgressReached),
+            has_started: videoState.hasStartedOnce,
+            is_tracking_enabled: videoState.isTrackingEnabled,
+            condition: getCondition()
+        };
+    }
+    
     /**
      * Enable tracking (called when tap-to-start is clicked)
      */
     function enableTracking() {
+        if (window.ConsentScreen && !window.ConsentScreen.hasConsented()) {
+            console.warn('MongoFeedVideoTracker: Tracking not enabled - consent has not been given');
+            return;
+        }
+        
         videoState.isTrackingEnabled = true;
         console.log('MongoFeedVideoTracker: Tracking enabled');
         
@@ -336,6 +516,17 @@
         }
     }
     
+    /**
+     * Tap to Start does nothing until consent is given and the quota and
+     * participation checks allow it (js/consent-screen.js, js/study-quota.js,
+     * js/participation-check.js)
+     */
+    function canStart() {
+        return (!window.ConsentScreen || window.ConsentScreen.hasConsented()) &&
+            (!window.StudyQuota || window.StudyQuota.canStart()) &&
+            (!window.ParticipationCheck || window.ParticipationCheck.canStart());
+    }
+    
     /**
      * Wait for tap-to-start overlay
      */
@@ -343,6 +534,7 @@
         const tapOverlay = document.getElementById('tap-to-start-overlay');
         if (tapOverlay) {
             tapOverlay.addEventListener('click', () => {
+                if (!canStart()) return;
                 enableTracking();
             });
         } else {
@@ -353,33 +545,36 @@
         }
     }
     
+    /**
+     * Point the video iframe at the configured YouTube video
+     */
+    function renderVideo(youtubeId) {
+        const iframe = document.getElementById('nyuVideo');
+        if (!iframe || !youtubeId) return;
+        
+        const id = encodeURIComponent(youtubeId);
+        iframe.src = 'https://www.youtube.com/embed/' + id +
+            '?enablejsapi=1&controls=0&showinfo=0&rel=0&modestbranding=1&iv_load_policy=3&fs=0&disablekb=1' +
+            '&loop=1&playlist=' + id + '&mute=1&autoplay=1';
+    }
+    
     /**
      * Initialize tracking
      */
     function initTracking() {
-        // Load YouTube API
-        loadYouTubeAPI();
+        // Load the configured video, then the YouTube API
+        configReady.then(config => {
+            renderVideo(config.video.youtube_id);
+            loadYouTubeAPI();
+        }).catch(error => {
+            console.error('MongoFeedVideoTracker: Cannot load video without study config:', error);
+        });
         
         // Wait for tap-to-start
         waitForTapToStart();
         
-        // Setup unload handlers
-        window.addEventListener('beforeunload', handleUnload);
-        window.addEventListener('pagehide', handleUnload);
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden && videoState.currentPlayStartTime !== null && videoState.player) {
-                try {
-                    const currentTime = videoState.player.getCurrentTime();
-                    const watchedDuration = currentTime - videoState.currentPlayStartTime;
-                    if (watchedDuration > 0) {
-                        videoState.totalWatchTimeSeconds += watchedDuration;
-                    }
-                    videoState.currentPlayStartTime = null;
-                } catch (error) {
-                    // Ignore errors
-                }
-            }
-        });
+        // Report the summary as part of the base tracker's exit flush
+        window.MongoTracker.onBeforeFlush(handleUnload);
     }
     
     /**
@@ -413,6 +608,8 @@
     window.VideoTracker = {
         toggleMute: toggleMute,
         enableTracking: enableTracking,
+        canStart: canStart,
+        getExposureSummary: getExposureSummary,
         player: () => videoState.player
     };
     
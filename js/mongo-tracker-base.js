@@ -20,27 +20,78 @@
     const API_BASE = getApiBaseUrl();
     const API_URL = `${API_BASE}/track`;
     const BATCH_API_URL = `${API_BASE}/track/batch`;
-    const BATCH_SIZE = 10;
+    const ASSIGNMENT_API_URL = `${API_BASE}/assignment`;
+    const CHECK_IN_API_URL = `${API_BASE}/participants/check-in`;
+    const LATEST_SESSION_API_URL = `${API_BASE}/sessions/latest`;
+    const SESSION_TOKEN_API_URL = `${API_BASE}/sessions/token`;
+    const SESSION_TOKEN_REFRESH_RATIO = 0.8; // Ask for a new token when this much of its lifetime has passed
+    const MIN_TOKEN_REFRESH_DELAY = 10000; // 10 seconds
+    const SESSION_STORAGE_KEY = 'mongo_tracker_session';
+    const API_REQUEST_TIMEOUT = 5000; // 5 seconds, for calls made before tracking starts
+    const BATCH_SIZE = 10; // Matches the API's MAX_BATCH_EVENTS default
+    const MAX_PRE_INIT_BUFFER = 500; // Events kept while waiting for the participant ID; the oldest are dropped beyond this
+    const MAX_URL_PARAMS = 20; // Matches the API's envelope limits (server/lib/validate-event.js)
+    const MAX_URL_PARAM_LENGTH = 256;
     const BATCH_INTERVAL = 5000; // 5 seconds
-    const RETRY_DELAY = 1000; // 1 second
-    const MAX_RETRIES = 3;
+    const RETRY_DELAY = 1000; // 1 second - base delay, doubled per failed attempt
+    const MAX_RETRY_DELAY = 60000; // 1 minute
+    const MAX_RETRIES = 3; // Retries after the first attempt before an event is dead-lettered
+    const CIRCUIT_BREAKER_THRESHOLD = 5; // Consecutive 5xx responses before sending pauses
+    const CIRCUIT_BREAKER_COOLDOWN = 30000; // 30 seconds
+    const MAX_REPORTED_DEAD_LETTERS = 50;
+    const MAX_REPORTED_DEAD_LETTER_BYTES = 24000; // Keeps the report under the API's 32KB properties limit
+    const MAX_BEACON_BYTES = 60000; // Browsers cap sendBeacon/keepalive payloads at ~64KB
+    const FINAL_FLUSH_TIMEOUT = 2000; // How long flush() waits for acknowledgement before using sendBeacon
+    const ANONYMOUS_PARTICIPANT_ID = 'anonymous'; // Matches the API's anonymous events (server/routes/track.js)
     
     // Global tracking state
     window.MongoTracker = {
+        apiBase: API_BASE,  // Shared with modules that call other API routes
         isInitialized: false,
+        isInitializing: false,
+        initializationError: null,  // Why initialize() failed (e.g. consent declined); tracking stays off for this page load
         participantId: null,
         studyType: null,
         sessionId: null,
+        eventSequence: 0,  // Per-session counter, lets analyses spot gaps and reorder events
         eventQueue: [],
+        preInitBuffer: [],  // Events tracked before the participant ID is known
         batchTimer: null,
-        isCollectingPid: false  // Prevent multiple simultaneous PID prompts
+        recoveredEventCount: 0,  // Events replayed from the durable queue on this page load
+        deadLetterQueue: [],  // Events that failed more than MAX_RETRIES times
+        participantIdProvider: null,  // Optional function returning an ID (or a promise of one)
+        // URL parameters copied onto every event (matched case-insensitively) so tracking
+        // data joins to Prolific and Qualtrics records without a lookup table
+        urlContextParams: ['PROLIFIC_ID', 'STUDY_ID', 'SESSION_ID', 'ResponseID', 'condition'],
+        urlParams: {},  // Values captured from the URL at initialize() time
+        sessionResumeWindow: 0,  // ms; a reload within this long continues the same session (0 = never)
+        resumeCount: 0,  // Times this session has been resumed
+        resumedSession: null,  // { session_id, resume_count, resumed_from, state, last_summary } when resumed
+        sessionState: {},  // Snapshots other modules keep with the session (see setSessionState)
+        sessionToken: null,  // Signed by the API for this participant and session, sent with every event
+        sessionTokenExpiresAt: null,
+        participationCheck: false,  // When true, the API's participant registry decides who may take part
+        participation: null,  // { allowed, status, reason } or { allowed: true, status: null, error }
+        conditionAssignment: false,  // When true, the API assigns the participant's study arm
+        assignment: null,  // { condition, assigned_at, is_new } or { condition: null, error }
+        ready: null,  // Promise resolved with the participant ID once initialize() completes
+        debug: false,  // When true, events are checked against the schema registry (js/event-schemas.js)
+        deliveryStats: {
+            eventsTracked: 0,
+            eventsDelivered: 0,
+            failedAttempts: 0,
+            retriedEvents: 0,
+            circuitOpenCount: 0,
+            eventsQuarantined: 0,  // Accepted by the API but kept apart from the study data
+            rateLimitedCount: 0  // 429 responses; delivery pauses for as long as the API asks
+        }
     };
     
     /**
-     * Get participant ID (from URL or prompt)
-     * MongoDB-only tracking - no GA4 dependency
+     * Get participant ID without blocking the page
+     * Order: already known, PROLIFIC_ID URL param, configured provider, in-page form
      */
-    function getParticipantId() {
+    async function resolveParticipantId() {
         // If we already have a participant ID, return it
         if (window.MongoTracker.participantId) {
             console.log('MongoTracker: Using existing participant ID:', window.MongoTracker.participantId);
@@ -53,26 +104,9 @@
         
         if (prolificFromUrl) {
             console.log('MongoTracker: Using PROLIFIC_ID from URL:', prolificFromUrl);
-            window.MongoTracker.participantId = prolificFromUrl;
             return prolificFromUrl;
         }
         
-        // Prevent multiple simultaneous prompts
-        if (window.MongoTracker.isCollectingPid) {
-            console.log('MongoTracker: PID collection already in progress, waiting...');
-            // Wait a bit and check again
-            let attempts = 0;
-            while (attempts < 20 && !window.MongoTracker.participantId) {
-                attempts++;
-                // Synchronous wait (not ideal but prevents multiple prompts)
-                const start = Date.now();
-                while (Date.now() - start < 100) {
-                    // Busy wait
-                }
-            }
-            // If still no ID after waiting, allow prompt
-        }
-        
         // Clear any stored ID to ensure fresh session
         try {
             localStorage.removeItem('mongo_participant_id');
@@ -80,34 +114,254 @@
             // Fail silently
         }
         
-        // Prompt for participant ID
-        console.log('MongoTracker: Prompting for participant ID...');
-        window.MongoTracker.isCollectingPid = true;
+        // Configured provider (e.g. an ID handed over by an embedding survey)
+        if (typeof window.MongoTracker.participantIdProvider === 'function') {
+            try {
+                const providedId = await window.MongoTracker.participantIdProvider();
+                if (providedId && String(providedId).trim() !== '') {
+                    console.log('MongoTracker: Using participant ID from provider');
+                    return String(providedId).trim();
+                }
+            } catch (error) {
+                console.warn('MongoTracker: Participant ID provider failed, asking participant:', error);
+            }
+        }
         
-        let prolificId = null;
-        while (!prolificId || prolificId.trim() === '') {
-            prolificId = prompt('⚠️ REQUIRED: Please enter your Participant ID to continue.\n\n(This cannot be skipped - press OK after entering your ID)');
-            
-            if (prolificId === null) {
-                alert('❌ Participant ID is required to participate in this study.\n\nPlease enter your ID when prompted.');
-                continue;
+        // In-page form - does not block the page the way prompt() does
+        if (window.ParticipantIdForm) {
+            console.log('MongoTracker: Asking participant for ID...');
+            // Rejected entries are buffered like any other event and sent once the ID is known;
+            // with js/tracking.js loaded the form tracks them itself
+            window.ParticipantIdForm.onValidationFailure(failure => {
+                if (!window.Tracking) {
+                    track('participant_id_validation_failed', failure);
+                }
+            });
+            return window.ParticipantIdForm.request();
+        }
+        
+        console.error('MongoTracker: participant-id-form.js not loaded, cannot ask for a participant ID');
+        throw new Error('No way to obtain a participant ID');
+    }
+    
+    /**
+     * Capture the whitelisted URL parameters that are present
+     * Keys keep the configured spelling whatever case the URL used
+     * Values the API would reject are left out - one would fail every event in the session
+     */
+    function captureUrlParams() {
+        const captured = {};
+        const urlParams = new URLSearchParams(window.location.search);
+        const whitelist = window.MongoTracker.urlContextParams || [];
+        
+        urlParams.forEach((value, key) => {
+            const name = whitelist.find(param => param.toLowerCase() === key.toLowerCase());
+            if (!name || value === '' || name in captured) {
+                return;
             }
-            
-            if (prolificId.trim() === '') {
-                alert('❌ Please enter a valid Participant ID.\n\nEmpty entries are not allowed.');
-                continue;
+            if (value.length > MAX_URL_PARAM_LENGTH) {
+                console.warn('MongoTracker: Ignoring URL parameter longer than', MAX_URL_PARAM_LENGTH, 'characters:', name);
+                return;
+            }
+            if (Object.keys(captured).length >= MAX_URL_PARAMS) {
+                console.warn('MongoTracker: Ignoring URL parameter beyond the first', MAX_URL_PARAMS + ':', name);
+                return;
             }
+            captured[name] = value;
+        });
+        
+        return captured;
+    }
+    
+    /**
+     * Call an API route with a timeout, resolving with the parsed response
+     * POSTs the body as JSON when one is given, otherwise GETs
+     */
+    async function requestJson(url, body) {
+        const controller = window.AbortController ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), API_REQUEST_TIMEOUT) : null;
+        
+        try {
+            const init = body === undefined ? { cache: 'no-cache' } : {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            };
+            const response = await fetch(url, Object.assign(init, {
+                signal: controller ? controller.signal : undefined
+            }));
             
-            prolificId = prolificId.trim();
-            console.log('MongoTracker: User entered valid PROLIFIC_ID:', prolificId);
-            break;
+            if (!response.ok) {
+                throw new Error('Request to ' + url + ' failed: ' + response.status);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
+    /**
+     * Stored session record (localStorage), or null
+     */
+    function readStoredSession() {
+        try {
+            return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Remember the current session so a reload can continue it
+     */
+    function storeSession() {
+        if (!window.MongoTracker.participantId) return;
+        
+        try {
+            localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+                participant_id: window.MongoTracker.participantId,
+                study_type: window.MongoTracker.studyType,
+                session_id: window.MongoTracker.sessionId,
+                resume_count: window.MongoTracker.resumeCount,
+                last_sequence: window.MongoTracker.eventSequence,
+                last_active_at: Date.now(),
+                state: window.MongoTracker.sessionState
+            }));
+        } catch (error) {
+            // Storage disabled or full - the server copy can still be used
         }
+    }
+    
+    /**
+     * Keep a module's snapshot with the session, e.g. setSessionState('video', {...})
+     * It is handed back through resumedSession.state after a reload
+     */
+    function setSessionState(key, value) {
+        window.MongoTracker.sessionState[key] = value;
+        storeSession();
+    }
+    
+    /**
+     * Look for a session this participant left within the resume window:
+     * this browser's stored session first, then the latest one the API has seen
+     * Never rejects: without a resumable session a new one is started
+     */
+    async function findResumableSession(participantId) {
+        const resumeWindow = window.MongoTracker.sessionResumeWindow;
+        if (!resumeWindow) return null;
         
-        window.MongoTracker.isCollectingPid = false;
-        window.MongoTracker.participantId = prolificId;
+        const studyType = window.MongoTracker.studyType;
+        const stored = readStoredSession();
+        if (stored && stored.participant_id === participantId && stored.study_type === studyType &&
+            Date.now() - stored.last_active_at <= resumeWindow) {
+            return {
+                session_id: stored.session_id,
+                resume_count: (stored.resume_count || 0) + 1,
+                last_sequence: stored.last_sequence || 0,
+                resumed_from: 'storage',
+                state: stored.state || {},
+                last_summary: null
+            };
+        }
         
-        // Don't store in localStorage - each session should be independent
-        return prolificId;
+        try {
+            const query = new URLSearchParams({ participant_id: participantId, study_type: studyType });
+            if (window.MongoTracker.sessionToken) {
+                query.set('session_token', window.MongoTracker.sessionToken);
+            }
+            const result = await requestJson(LATEST_SESSION_API_URL + '?' + query.toString());
+            const latest = result.session;
+            if (latest && Date.now() - Date.parse(latest.last_event_at) <= resumeWindow) {
+                return {
+                    session_id: latest.session_id,
+                    resume_count: (latest.resume_count || 0) + 1,
+                    last_sequence: latest.last_sequence || 0,
+                    resumed_from: 'server',
+                    state: {},
+                    last_summary: latest.last_summary
+                };
+            }
+        } catch (error) {
+            console.warn('MongoTracker: Could not look up previous session:', error);
+        }
+        return null;
+    }
+    
+    /**
+     * Register this session with the participant registry
+     * Never rejects: if the registry cannot be reached the participant is let in
+     */
+    async function checkParticipation(participantId) {
+        try {
+            const result = await requestJson(CHECK_IN_API_URL, {
+                participant_id: participantId,
+                study_type: window.MongoTracker.studyType,
+                session_id: window.MongoTracker.sessionId,
+                session_token: window.MongoTracker.sessionToken
+            });
+            console.log('MongoTracker: Participation check:', result.status, result.reason || '');
+            return {
+                allowed: result.allowed,
+                status: result.status,
+                reason: result.reason
+            };
+        } catch (error) {
+            console.warn('MongoTracker: Could not check participation:', error);
+            return { allowed: true, status: null, error: String(error.message || error) };
+        }
+    }
+    
+    /**
+     * Ask the API for the participant's (sticky, randomized) study arm
+     * Never rejects: on failure the page's own study type is used and the error recorded
+     */
+    async function requestAssignment(participantId) {
+        try {
+            const result = await requestJson(ASSIGNMENT_API_URL, {
+                participant_id: participantId,
+                study_type: window.MongoTracker.studyType
+            });
+            console.log('MongoTracker: Assigned condition:', result.condition, result.is_new ? '(new)' : '(returning)');
+            return {
+                condition: result.condition,
+                assigned_at: result.assigned_at,
+                is_new: result.is_new
+            };
+        } catch (error) {
+            console.warn('MongoTracker: Could not get condition assignment:', error);
+            return { condition: null, error: String(error.message || error) };
+        }
+    }
+    
+    let tokenRefreshTimer = null;
+    
+    /**
+     * Get a signed token for this participant and session; the API uses it to
+     * tell the tracker's events from forged ones. Refreshed before it expires.
+     * Never rejects: without a token events are sent unsigned (the API decides what to do with them)
+     */
+    async function requestSessionToken() {
+        clearTimeout(tokenRefreshTimer);
+        
+        try {
+            const result = await requestJson(SESSION_TOKEN_API_URL, {
+                participant_id: window.MongoTracker.participantId,
+                session_id: window.MongoTracker.sessionId,
+                study_type: window.MongoTracker.studyType
+            });
+            window.MongoTracker.sessionToken = result.token || null;
+            window.MongoTracker.sessionTokenExpiresAt = result.expires_at || null;
+        } catch (error) {
+            console.warn('MongoTracker: Could not get a session token:', error);
+        }
+        
+        const expiresAt = Date.parse(window.MongoTracker.sessionTokenExpiresAt);
+        if (window.MongoTracker.sessionToken && !Number.isNaN(expiresAt)) {
+            const delay = Math.max(MIN_TOKEN_REFRESH_DELAY, (expiresAt - Date.now()) * SESSION_TOKEN_REFRESH_RATIO);
+            tokenRefreshTimer = setTimeout(requestSessionToken, delay);
+        }
     }
     
     /**
@@ -117,6 +371,18 @@
         return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
     
+    /**
+     * Generate a unique event ID
+     * The server uses it to collapse events delivered more than once
+     * (immediate POST, batch timer, retried batches and sendBeacon can overlap)
+     */
+    function generateEventId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return 'evt_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9) + Math.random().toString(36).substr(2, 9);
+    }
+    
     /**
      * Detect study type from URL or page
      */
@@ -139,154 +405,836 @@
         return 'unknown';
     }
     
+    // Every event created by this page load, delivered or not; its copies in the
+    // durable queue are not replayed as if an earlier load had left them
+    const pageEventIds = new Set();
+    
     /**
-     * Send event to API
+     * Durable queue helpers - no-ops when mongo-tracker-queue-store.js is not loaded
      */
-    async function sendEvent(eventName, properties = {}) {
-        const event = {
-            event_name: eventName,
-            participant_id: window.MongoTracker.participantId,
-            study_type: window.MongoTracker.studyType,
-            session_id: window.MongoTracker.sessionId,
-            properties: properties,
-            page_url: window.location.href,
-            timestamp: new Date().toISOString()
-        };
-        
-        // Add to queue for batch processing
-        window.MongoTracker.eventQueue.push(event);
+    function persistEvents(events) {
+        if (!window.MongoTrackerQueueStore) return;
+        window.MongoTrackerQueueStore.put(events).catch(error => {
+            console.warn('MongoTracker: Could not persist events:', error);
+        });
+    }
+    
+    function forgetEvents(events) {
+        if (!window.MongoTrackerQueueStore) return;
+        window.MongoTrackerQueueStore.remove(events.map(event => event.event_id)).catch(error => {
+            console.warn('MongoTracker: Could not remove delivered events:', error);
+        });
+    }
+    
+    /**
+     * Replay events persisted by an earlier page load that never reached the API
+     * Only this participant's events for this study are replayed; another
+     * participant's (a shared lab computer) stay stored until they come back.
+     * Events keep their original session IDs - after a resumed reload that is the
+     * current session's ID; the server de-duplicates any that were in fact
+     * delivered (e.g. by sendBeacon) before the tab closed
+     */
+    async function recoverPersistedEvents() {
+        if (!window.MongoTrackerQueueStore) return;
         
-        // Try immediate send (non-blocking)
         try {
-            const response = await fetch(API_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(event)
+            const persisted = await window.MongoTrackerQueueStore.getAll();
+            const queuedIds = new Set(window.MongoTracker.eventQueue.map(event => event.event_id));
+            const recovered = persisted.filter(event =>
+                event.participant_id === window.MongoTracker.participantId &&
+                event.study_type === window.MongoTracker.studyType &&
+                !queuedIds.has(event.event_id) && !pageEventIds.has(event.event_id)
+            );
+            
+            if (recovered.length === 0) return;
+            
+            window.MongoTracker.eventQueue.unshift(...recovered);
+            window.MongoTracker.recoveredEventCount += recovered.length;
+            console.log('MongoTracker: Recovered', recovered.length, 'undelivered events from a previous page load');
+            
+            sendEvent('event_queue_recovered', {
+                recovered_count: recovered.length,
+                recovered_session_ids: Array.from(new Set(recovered.map(event => event.session_id))),
+                oldest_event_timestamp: recovered[0].timestamp
             });
+        } catch (error) {
+            console.warn('MongoTracker: Could not recover persisted events:', error);
+        }
+    }
+    
+    /**
+     * Delivery state - attempts and backoff per event_id, plus the circuit breaker
+     * Kept out of the event envelope so it is never stored server-side
+     */
+    const deliveryState = {
+        attempts: new Map(),
+        nextAttemptAt: new Map(),
+        inFlight: new Set(),
+        resigned: new Set(),  // Events already given a fresh token after a 401
+        tokenRefresh: null,  // The token request 401s are waiting on, so they share one
+        pendingDeliveries: new Set(),
+        consecutiveServerErrors: 0,
+        circuitOpenUntil: 0,
+        batchSize: BATCH_SIZE  // Lowered if the API answers 413 to a batch
+    };
+    
+    function isCircuitOpen() {
+        return Date.now() < deliveryState.circuitOpenUntil;
+    }
+    
+    /**
+     * Exponential backoff with jitter: a random delay between half and all of
+     * RETRY_DELAY * 2^(attempts - 1), so retries from many tabs do not line up
+     */
+    function getBackoffDelay(attempts) {
+        const delay = Math.min(MAX_RETRY_DELAY, RETRY_DELAY * Math.pow(2, attempts - 1));
+        return delay / 2 + Math.random() * (delay / 2);
+    }
+    
+    function isReadyForAttempt(event) {
+        return !deliveryState.inFlight.has(event.event_id) &&
+            (deliveryState.nextAttemptAt.get(event.event_id) || 0) <= Date.now();
+    }
+    
+    function removeFromQueue(events) {
+        const ids = new Set(events.map(event => event.event_id));
+        window.MongoTracker.eventQueue = window.MongoTracker.eventQueue.filter(event => !ids.has(event.event_id));
+    }
+    
+    /**
+     * Record a successful delivery
+     * result is the API's response, when it was read; quarantined events
+     * (bad session token, or not matching the schema registry) are counted
+     */
+    function recordSuccess(events, result) {
+        deliveryState.consecutiveServerErrors = 0;
+        deliveryState.circuitOpenUntil = 0;
+        
+        events.forEach(event => {
+            deliveryState.attempts.delete(event.event_id);
+            deliveryState.nextAttemptAt.delete(event.event_id);
+            deliveryState.resigned.delete(event.event_id);
+        });
+        window.MongoTracker.deliveryStats.eventsDelivered += events.length;
+        if (result) {
+            window.MongoTracker.deliveryStats.eventsQuarantined += result.quarantined_count || (result.quarantined ? 1 : 0);
+        }
+        removeFromQueue(events);
+        forgetEvents(events);
+    }
+    
+    /**
+     * Record a failed delivery: schedule a retry, or dead-letter events out of retries
+     * status is the HTTP status, or null for network errors
+     * Other 4xx answers (invalid event, forbidden) would only repeat, so those
+     * events are dead-lettered at once; 408 is a timeout and is retried
+     */
+    function recordFailure(events, status) {
+        const stats = window.MongoTracker.deliveryStats;
+        stats.failedAttempts++;
+        
+        if (status !== null && status < 500 && status !== 408) {
+            console.warn('MongoTracker: API rejected', events.length, 'events (' + status + '), not retrying');
+            deadLetter(events);
+            return;
+        }
+        
+        if (status >= 500) {
+            deliveryState.consecutiveServerErrors++;
+            if (deliveryState.consecutiveServerErrors >= CIRCUIT_BREAKER_THRESHOLD && !isCircuitOpen()) {
+                deliveryState.circuitOpenUntil = Date.now() + CIRCUIT_BREAKER_COOLDOWN;
+                stats.circuitOpenCount++;
+                console.warn('MongoTracker: API keeps failing, pausing delivery for', CIRCUIT_BREAKER_COOLDOWN / 1000, 'seconds');
+            }
+        }
+        
+        const deadLettered = [];
+        events.forEach(event => {
+            const attempts = (deliveryState.attempts.get(event.event_id) || 0) + 1;
+            deliveryState.attempts.set(event.event_id, attempts);
+            if (attempts === 2) {
+                stats.retriedEvents++;
+            }
             
-            if (response.ok) {
-                const result = await response.json();
-                console.log('MongoTracker: Event tracked:', eventName, result);
-                // Remove from queue if successfully sent
-                const index = window.MongoTracker.eventQueue.indexOf(event);
-                if (index > -1) {
-                    window.MongoTracker.eventQueue.splice(index, 1);
-                }
-                return result;
+            if (attempts > MAX_RETRIES) {
+                deadLettered.push(event);
             } else {
-                console.warn('MongoTracker: Event tracking failed:', response.status);
-                // Keep in queue for retry
+                deliveryState.nextAttemptAt.set(event.event_id, Date.now() + getBackoffDelay(attempts));
             }
-        } catch (error) {
-            console.warn('MongoTracker: Event tracking error (will retry):', error);
-            // Keep in queue for retry
+        });
+        
+        if (deadLettered.length > 0) {
+            console.warn('MongoTracker: Giving up on', deadLettered.length, 'events after', MAX_RETRIES, 'retries');
+            deadLetter(deadLettered);
         }
     }
     
+    function deadLetter(events) {
+        events.forEach(event => {
+            deliveryState.attempts.delete(event.event_id);
+            deliveryState.nextAttemptAt.delete(event.event_id);
+            deliveryState.resigned.delete(event.event_id);
+        });
+        window.MongoTracker.deadLetterQueue.push(...events);
+        removeFromQueue(events);
+        forgetEvents(events);
+    }
+    
     /**
-     * Send batch of events
+     * 401: the API turned down the events' session token (expired past the
+     * replay grace, or signed with a secret it no longer uses). This session's
+     * events are re-signed with a fresh token and retried once; the rest - an
+     * earlier session's, or already re-signed - cannot succeed and are dead-lettered
      */
-    async function sendBatch() {
-        if (window.MongoTracker.eventQueue.length === 0) {
+    async function recordTokenRejected(events) {
+        window.MongoTracker.deliveryStats.failedAttempts++;
+        
+        const canResign = event => !deliveryState.resigned.has(event.event_id) &&
+            event.participant_id === window.MongoTracker.participantId &&
+            event.session_id === window.MongoTracker.sessionId;
+        if (events.some(canResign)) {
+            if (!deliveryState.tokenRefresh) {
+                deliveryState.tokenRefresh = requestSessionToken().then(() => {
+                    deliveryState.tokenRefresh = null;
+                });
+            }
+            await deliveryState.tokenRefresh;
+        }
+        
+        const token = window.MongoTracker.sessionToken;
+        const resigned = token ? events.filter(canResign) : [];
+        resigned.forEach(event => {
+            event.session_token = token;
+            deliveryState.resigned.add(event.event_id);
+            deliveryState.nextAttemptAt.delete(event.event_id);
+        });
+        persistEvents(resigned);
+        
+        const rejected = events.filter(event => !resigned.includes(event));
+        if (rejected.length > 0) {
+            console.warn('MongoTracker: Session token not accepted, giving up on', rejected.length, 'events');
+            deadLetter(rejected);
+        }
+    }
+    
+    /**
+     * Back off when the API enforces its limits; neither response counts as a retry
+     * 429: pause all delivery for the retry_after_seconds the API asks for
+     * 413: send smaller batches; a single event that is too large is dead-lettered,
+     * since sending it again cannot succeed
+     */
+    async function recordLimitResponse(events, response) {
+        let details = {};
+        try {
+            details = (await response.json()).details || {};
+        } catch (error) {
+            // No structured body (e.g. a proxy's error page) - fall back to the defaults below
+        }
+        
+        if (response.status === 429) {
+            const retryAfter = Number(details.retry_after_seconds) || Number(response.headers.get('Retry-After')) || RETRY_DELAY / 1000;
+            deliveryState.circuitOpenUntil = Math.max(deliveryState.circuitOpenUntil, Date.now() + retryAfter * 1000);
+            window.MongoTracker.deliveryStats.rateLimitedCount++;
+            console.warn('MongoTracker: Rate limited (' + (details.limit || 'unknown') + ' limit), pausing delivery for', retryAfter, 'seconds');
+            return;
+        }
+        
+        if (events.length > 1) {
+            deliveryState.batchSize = Math.max(1, Math.min(details.max_batch_events || Infinity, Math.floor(events.length / 2)));
+            console.warn('MongoTracker: Batch too large, sending at most', deliveryState.batchSize, 'events per batch');
             return;
         }
         
-        const batch = window.MongoTracker.eventQueue.splice(0, BATCH_SIZE);
+        console.warn('MongoTracker: Event too large for the API, giving up on it:', events[0].event_name);
+        deadLetter(events);
+    }
+    
+    /**
+     * POST events and record the outcome
+     * Returns the parsed response on success, otherwise null (never rejects)
+     */
+    function deliver(url, body, events) {
+        const delivery = attemptDelivery(url, body, events);
+        deliveryState.pendingDeliveries.add(delivery);
+        delivery.then(() => deliveryState.pendingDeliveries.delete(delivery));
+        return delivery;
+    }
+    
+    async function attemptDelivery(url, body, events) {
+        events.forEach(event => deliveryState.inFlight.add(event.event_id));
         
         try {
-            const response = await fetch(BATCH_API_URL, {
+            const response = await fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ events: batch })
+                body: JSON.stringify(body)
             });
             
             if (response.ok) {
                 const result = await response.json();
-                console.log('MongoTracker: Batch tracked:', result.inserted_count, 'events');
+                recordSuccess(events, result);
+                return result;
+            }
+            
+            console.warn('MongoTracker: Delivery failed:', response.status);
+            if (response.status === 429 || response.status === 413) {
+                await recordLimitResponse(events, response);
+            } else if (response.status === 401) {
+                await recordTokenRejected(events);
             } else {
-                console.warn('MongoTracker: Batch tracking failed:', response.status);
-                // Put events back in queue
-                window.MongoTracker.eventQueue.unshift(...batch);
+                recordFailure(events, response.status);
             }
         } catch (error) {
-            console.warn('MongoTracker: Batch tracking error:', error);
-            // Put events back in queue
-            window.MongoTracker.eventQueue.unshift(...batch);
+            console.warn('MongoTracker: Delivery error (will retry):', error);
+            recordFailure(events, null);
+        } finally {
+            events.forEach(event => deliveryState.inFlight.delete(event.event_id));
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Build an event envelope and add it to the queue
+     */
+    function enqueueEvent(eventName, properties = {}, timestamp = new Date().toISOString()) {
+        const event = {
+            event_id: generateEventId(),
+            sequence: ++window.MongoTracker.eventSequence,
+            event_name: eventName,
+            participant_id: window.MongoTracker.participantId,
+            study_type: window.MongoTracker.studyType,
+            session_id: window.MongoTracker.sessionId,
+            url_params: window.MongoTracker.urlParams,
+            properties: properties,
+            page_url: window.location.href,
+            timestamp: timestamp
+        };
+        // Each event keeps the token it was created with, so replayed events still verify
+        if (window.MongoTracker.sessionToken) {
+            event.session_token = window.MongoTracker.sessionToken;
+        }
+        if (window.MongoTracker.debug) {
+            checkSchema(eventName, properties);
+        }
+        
+        // Add to queue for batch processing, and persist in case the page closes first
+        pageEventIds.add(event.event_id);
+        window.MongoTracker.eventQueue.push(event);
+        window.MongoTracker.deliveryStats.eventsTracked++;
+        persistEvents([event]);
+        
+        return event;
+    }
+    
+    /**
+     * Debug mode: warn about events the API would quarantine for not matching
+     * the schema registry (the event is sent either way)
+     */
+    function checkSchema(eventName, properties) {
+        if (!window.EventSchemas) {
+            console.warn('MongoTracker: Debug mode needs js/event-schemas.js to check events');
+            return;
+        }
+        window.EventSchemas.check(eventName, properties).then(result => {
+            if (!result.known) {
+                console.warn('MongoTracker: Event not in the schema registry:', eventName);
+            } else if (result.errors.length > 0) {
+                console.warn('MongoTracker: Event does not match its schema:', eventName, result.errors);
+            }
+        }).catch(error => {
+            console.warn('MongoTracker: Could not check event schema:', error);
+        });
+    }
+    
+    /**
+     * Send event to API
+     */
+    async function sendEvent(eventName, properties = {}, timestamp) {
+        const event = enqueueEvent(eventName, properties, timestamp);
+        
+        // While the circuit is open the batch timer retries once the cooldown ends;
+        // while flushing on exit the event goes out with the final beacon
+        if (isCircuitOpen() || isFlushing) {
+            return;
+        }
+        
+        // Try immediate send (non-blocking); failures stay queued for sendBatch
+        const result = await deliver(API_URL, event, [event]);
+        if (result) {
+            console.log('MongoTracker: Event tracked:', eventName, result);
+        }
+        return result;
+    }
+    
+    /**
+     * Send batch of events that are due for (re)delivery
+     */
+    async function sendBatch() {
+        if (window.MongoTracker.eventQueue.length === 0 || isCircuitOpen()) {
+            return;
         }
+        
+        const batch = window.MongoTracker.eventQueue.filter(isReadyForAttempt).slice(0, deliveryState.batchSize);
+        if (batch.length === 0) {
+            return;
+        }
+        
+        const result = await deliver(BATCH_API_URL, { events: batch }, batch);
+        if (result) {
+            console.log('MongoTracker: Batch tracked:', result.inserted_count, 'events', result.duplicate_count ? `(${result.duplicate_count} duplicates ignored)` : '');
+        }
+    }
+    
+    /**
+     * Enqueue the tracker_delivery_report for this flush
+     * Dead-lettered events ride along so a last beacon can still save them
+     */
+    function enqueueDeliveryReport(reason) {
+        const stats = window.MongoTracker.deliveryStats;
+        const deadLetters = window.MongoTracker.deadLetterQueue;
+        
+        enqueueEvent('tracker_delivery_report', {
+            flush_reason: reason,
+            events_tracked: stats.eventsTracked,
+            events_delivered: stats.eventsDelivered,
+            events_pending: window.MongoTracker.eventQueue.length,
+            events_quarantined: stats.eventsQuarantined,
+            failed_attempts: stats.failedAttempts,
+            retried_events: stats.retriedEvents,
+            circuit_open_count: stats.circuitOpenCount,
+            rate_limited_count: stats.rateLimitedCount,
+            recovered_count: window.MongoTracker.recoveredEventCount,
+            dead_letter_count: deadLetters.length,
+            dead_letter_events: getReportedDeadLetters(deadLetters)
+        });
+    }
+    
+    /**
+     * Dead-lettered events that fit in the report, without their session tokens
+     * (the report's own token covers them); events too large to fit are left out
+     */
+    function getReportedDeadLetters(deadLetters) {
+        const reported = [];
+        let bytes = 0;
+        deadLetters.slice(0, MAX_REPORTED_DEAD_LETTERS).forEach(event => {
+            const copy = Object.assign({}, event);
+            delete copy.session_token;
+            const eventBytes = byteLength(JSON.stringify(copy));
+            if (bytes + eventBytes <= MAX_REPORTED_DEAD_LETTER_BYTES) {
+                bytes += eventBytes;
+                reported.push(copy);
+            }
+        });
+        return reported;
+    }
+    
+    function byteLength(text) {
+        return window.TextEncoder ? new TextEncoder().encode(text).length : text.length * 3;
+    }
+    
+    /**
+     * Split events into { events: [...] } payloads that fit the beacon limit
+     * and the API's batch size
+     */
+    function chunkForBeacon(events) {
+        const chunks = [];
+        let current = [];
+        let currentBytes = byteLength('{"events":[]}');
+        
+        events.forEach(event => {
+            const eventBytes = byteLength(JSON.stringify(event)) + 1; // +1 for the comma
+            if (current.length > 0 && (currentBytes + eventBytes > MAX_BEACON_BYTES || current.length >= deliveryState.batchSize)) {
+                chunks.push(current);
+                current = [];
+                currentBytes = byteLength('{"events":[]}');
+            }
+            current.push(event);
+            currentBytes += eventBytes;
+        });
+        
+        if (current.length > 0) {
+            chunks.push(current);
+        }
+        return chunks;
+    }
+    
+    /**
+     * Hand every queued event to the browser in beacon-sized chunks
+     * sendBeacon first, fetch keepalive when it refuses (too large, or unsupported).
+     * Handed-off events leave the in-memory queue but stay in the durable queue
+     * until acknowledged, so a beacon that never arrives is replayed on the next load.
+     * includeInFlight also beacons events whose POST has not answered yet (navigation
+     * would cancel it; the server de-duplicates if both arrive).
+     */
+    function flushQueue({ includeInFlight = false } = {}) {
+        const pending = window.MongoTracker.eventQueue.filter(event => includeInFlight || !deliveryState.inFlight.has(event.event_id));
+        if (pending.length === 0) return;
+        
+        chunkForBeacon(pending).forEach(chunk => {
+            const body = JSON.stringify({ events: chunk });
+            let queued = false;
+            
+            try {
+                queued = typeof navigator.sendBeacon === 'function' && navigator.sendBeacon(BATCH_API_URL, body);
+            } catch (error) {
+                queued = false;
+            }
+            
+            if (queued) {
+                removeFromQueue(chunk);
+                return;
+            }
+            
+            try {
+                chunk.forEach(event => deliveryState.inFlight.add(event.event_id));
+                fetch(BATCH_API_URL, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: body,
+                    keepalive: true
+                }).then(response => {
+                    if (response.ok) {
+                        recordSuccess(chunk);
+                    }
+                }).catch(() => {
+                    // Still queued and persisted - retried by the batch timer or the next page load
+                }).finally(() => {
+                    chunk.forEach(event => deliveryState.inFlight.delete(event.event_id));
+                });
+            } catch (error) {
+                chunk.forEach(event => deliveryState.inFlight.delete(event.event_id));
+                console.warn('MongoTracker: Could not flush events on exit:', error);
+            }
+        });
+    }
+    
+    /**
+     * Callbacks run just before the exit flush, so study trackers can enqueue
+     * their final events (e.g. feed_video_summary) and have them included
+     */
+    const beforeFlushCallbacks = [];
+    let isFlushing = false;
+    let hasFlushedSinceVisible = false;
+    
+    function onBeforeFlush(callback) {
+        beforeFlushCallbacks.push(callback);
+    }
+    
+    /**
+     * Flush when the page is hidden or going away
+     * visibilitychange:hidden is often the last event iOS Safari delivers, so it
+     * counts too; final events are enqueued once per hide, and again if the
+     * participant comes back and leaves later.
+     */
+    function flushOnExit(reason) {
+        if (!window.MongoTracker.isInitialized) return;
+        
+        runBeforeFlush(reason);
+        flushQueue();
+    }
+    
+    /**
+     * Enqueue the final events (before-flush callbacks and delivery report)
+     * at most once until the page becomes visible again
+     */
+    function runBeforeFlush(reason) {
+        if (hasFlushedSinceVisible) return;
+        
+        hasFlushedSinceVisible = true;
+        isFlushing = true;
+        beforeFlushCallbacks.forEach(callback => {
+            try {
+                callback(reason);
+            } catch (error) {
+                console.error('MongoTracker: Error in before-flush callback:', error);
+            }
+        });
+        enqueueDeliveryReport(reason);
+        isFlushing = false;
+        storeSession();
+    }
+    
+    /**
+     * Final flush for deliberate exits (e.g. "Return to Survey")
+     * Enqueues the final events, POSTs everything queued and waits for the API to
+     * acknowledge it. Whatever is not acknowledged within the timeout is handed to
+     * sendBeacon. Resolves true when every event was acknowledged.
+     */
+    async function flush({ reason = 'manual', timeout = FINAL_FLUSH_TIMEOUT } = {}) {
+        if (!window.MongoTracker.isInitialized) {
+            console.warn('MongoTracker: Flush requested before initialization, nothing to send');
+            return false;
+        }
+        
+        runBeforeFlush(reason);
+        
+        const deliveries = Array.from(deliveryState.pendingDeliveries);
+        if (!isCircuitOpen()) {
+            const pending = window.MongoTracker.eventQueue.filter(event => !deliveryState.inFlight.has(event.event_id));
+            chunkForBeacon(pending).forEach(chunk => {
+                deliveries.push(deliver(BATCH_API_URL, { events: chunk }, chunk));
+            });
+        }
+        
+        let timer = null;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(resolve, timeout);
+        });
+        await Promise.race([Promise.all(deliveries), timedOut]);
+        clearTimeout(timer);
+        
+        const acknowledged = window.MongoTracker.eventQueue.length === 0;
+        if (!acknowledged) {
+            console.warn('MongoTracker:', window.MongoTracker.eventQueue.length, 'events not acknowledged, falling back to sendBeacon');
+            flushQueue({ includeInFlight: true });
+        }
+        return acknowledged;
+    }
+    
+    /**
+     * Nothing is sent - not even the participant ID lookups - before the
+     * participant agrees on the consent screen (js/consent-screen.js); the only
+     * exception is the anonymous consent_declined event (see trackAnonymous)
+     * Resolves right away when the page has no consent step; rejects when
+     * consent is declined or cannot be asked for
+     */
+    async function waitForConsent() {
+        if (!window.ConsentScreen) return;
+        
+        await window.ConsentScreen.ready;
+        if (!window.ConsentScreen.hasConsented()) {
+            throw new Error('No consent given, nothing will be sent');
+        }
+    }
+    
+    function isConsentDeclined() {
+        return !!window.ConsentScreen && window.ConsentScreen.getStatus() === 'declined';
     }
     
     /**
      * Initialize MongoDB tracker
+     * Returns a promise resolved with the participant ID; events tracked before
+     * then are buffered and sent once identity is resolved
      */
     function initialize(studyType = null) {
-        if (window.MongoTracker.isInitialized) {
+        if (window.MongoTracker.isInitialized || window.MongoTracker.isInitializing) {
             console.log('MongoTracker: Already initialized');
-            return;
+            return window.MongoTracker.ready;
+        }
+        // Not retried: a new attempt would start another session and ask the participant again
+        if (window.MongoTracker.initializationError) {
+            console.warn('MongoTracker: Initialization failed earlier, not retrying:', window.MongoTracker.initializationError.message);
+            return window.MongoTracker.ready;
         }
         
         console.log('MongoTracker: Initializing...');
-        
-        // Get participant ID
-        window.MongoTracker.participantId = getParticipantId();
+        window.MongoTracker.isInitializing = true;
         
         // Detect or set study type
         window.MongoTracker.studyType = studyType || detectStudyType();
         
         // Generate session ID
         window.MongoTracker.sessionId = generateSessionId();
+        window.MongoTracker.eventSequence = 0;
         
-        // Mark as initialized
-        window.MongoTracker.isInitialized = true;
-        
-        // Start batch processing timer
-        window.MongoTracker.batchTimer = setInterval(sendBatch, BATCH_INTERVAL);
+        // Capture Prolific/survey context from the URL
+        window.MongoTracker.urlParams = captureUrlParams();
         
-        // Track page view
-        sendEvent('page_view', {
-            page_title: document.title,
-            referrer: document.referrer || null
-        });
-        
-        // Track session start
-        sendEvent('session_start', {
-            session_id: window.MongoTracker.sessionId
+        window.MongoTracker.ready = waitForConsent().then(resolveParticipantId).then(async participantId => {
+            window.MongoTracker.participantId = participantId;
+            
+            // The API only answers lookups about this participant with their token, so it comes first
+            await requestSessionToken();
+            
+            // An accidental reload continues the previous session rather than starting over
+            const resumed = await findResumableSession(participantId);
+            if (resumed) {
+                window.MongoTracker.resumedSession = resumed;
+                window.MongoTracker.sessionId = resumed.session_id;
+                window.MongoTracker.resumeCount = resumed.resume_count;
+                window.MongoTracker.sessionState = Object.assign({}, resumed.state);
+                window.MongoTracker.eventSequence = Math.max(window.MongoTracker.eventSequence, resumed.last_sequence);
+                console.log('MongoTracker: Resuming session', resumed.session_id, '(resume', resumed.resume_count + ', from ' + resumed.resumed_from + ')');
+                // The token is bound to the session ID, so the resumed session needs its own
+                await requestSessionToken();
+            }
+            storeSession();
+            
+            if (window.MongoTracker.participationCheck) {
+                window.MongoTracker.participation = await checkParticipation(participantId);
+            }
+            
+            // Excluded participants are not given an arm, so they do not skew the blocks
+            const participation = window.MongoTracker.participation;
+            if (window.MongoTracker.conditionAssignment && (!participation || participation.allowed)) {
+                window.MongoTracker.assignment = await requestAssignment(participantId);
+            }
+            
+            // Mark as initialized
+            window.MongoTracker.isInitializing = false;
+            window.MongoTracker.isInitialized = true;
+            
+            // Start batch processing timer (also keeps the stored session's last activity current)
+            window.MongoTracker.batchTimer = setInterval(() => {
+                storeSession();
+                sendBatch();
+            }, BATCH_INTERVAL);
+            
+            // Track page view
+            sendEvent('page_view', {
+                page_title: document.title,
+                referrer: document.referrer || null
+            });
+            
+            // Track session start
+            const assignment = window.MongoTracker.assignment;
+            sendEvent('session_start', {
+                session_id: window.MongoTracker.sessionId,
+                url_params: window.MongoTracker.urlParams,
+                resume_count: window.MongoTracker.resumeCount,
+                resumed_from: resumed ? resumed.resumed_from : null,
+                assigned_condition: assignment ? assignment.condition : null,
+                assignment_is_new: assignment && 'is_new' in assignment ? assignment.is_new : null,
+                assignment_error: assignment && assignment.error ? assignment.error : null,
+                participation_status: participation ? participation.status : null,
+                participation_allowed: participation ? participation.allowed : null,
+                participation_reason: participation ? participation.reason || null : null
+            });
+            
+            // Send events tracked while waiting for the participant ID, with their original timestamps
+            const buffered = window.MongoTracker.preInitBuffer.splice(0);
+            buffered.forEach(item => sendEvent(item.eventName, item.properties, item.timestamp));
+            
+            // Replay anything a previous page load left undelivered
+            recoverPersistedEvents();
+            
+            console.log('MongoTracker: Initialized successfully');
+            console.log('MongoTracker: Participant ID:', window.MongoTracker.participantId);
+            console.log('MongoTracker: Study Type:', window.MongoTracker.studyType);
+            console.log('MongoTracker: Session ID:', window.MongoTracker.sessionId);
+            
+            return participantId;
+        }).catch(error => {
+            window.MongoTracker.isInitializing = false;
+            window.MongoTracker.initializationError = error;
+            // Buffered events can never be sent without a participant ID
+            window.MongoTracker.preInitBuffer.length = 0;
+            console.error('MongoTracker: Initialization failed:', error);
+            throw error;
         });
         
-        // Send queued events on page unload
-        window.addEventListener('beforeunload', () => {
-            // Send remaining events synchronously
-            if (window.MongoTracker.eventQueue.length > 0) {
-                // Use sendBeacon for reliability
-                const events = window.MongoTracker.eventQueue;
-                navigator.sendBeacon(BATCH_API_URL, JSON.stringify({ events: events }));
+        // Flush queued events when the page is hidden or unloaded
+        window.addEventListener('pagehide', () => flushOnExit('pagehide'));
+        window.addEventListener('beforeunload', () => flushOnExit('beforeunload'));
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                flushOnExit('visibilitychange');
+            } else {
+                hasFlushedSinceVisible = false;
             }
         });
         
-        console.log('MongoTracker: Initialized successfully');
-        console.log('MongoTracker: Participant ID:', window.MongoTracker.participantId);
-        console.log('MongoTracker: Study Type:', window.MongoTracker.studyType);
-        console.log('MongoTracker: Session ID:', window.MongoTracker.sessionId);
+        return window.MongoTracker.ready;
+    }
+    
+    /**
+     * Queue an event without trying to send it right away
+     * For events that should travel with the next batch or flush()
+     */
+    function enqueue(eventName, properties = {}, timestamp) {
+        if (!window.MongoTracker.isInitialized) {
+            track(eventName, properties, timestamp);
+            return;
+        }
+        enqueueEvent(eventName, properties, timestamp);
     }
     
     /**
      * Track custom event
+     * Buffered until the participant ID is known
+     * timestamp (ISO string) defaults to now - js/tracking.js passes the time it recorded the event
      */
-    function track(eventName, properties = {}) {
+    function track(eventName, properties = {}, timestamp) {
         if (!window.MongoTracker.isInitialized) {
-            console.warn('MongoTracker: Not initialized, initializing now...');
-            initialize();
+            // Without a participant ID (or consent) the event cannot be sent
+            if (window.MongoTracker.initializationError || isConsentDeclined()) {
+                return;
+            }
+            if (!window.MongoTracker.isInitializing) {
+                console.warn('MongoTracker: Not initialized, initializing now...');
+                initialize().catch(() => {
+                    // Logged by initialize()
+                });
+            }
+            const buffer = window.MongoTracker.preInitBuffer;
+            buffer.push({
+                eventName: eventName,
+                properties: properties,
+                timestamp: timestamp || new Date().toISOString()
+            });
+            if (buffer.length > MAX_PRE_INIT_BUFFER) {
+                const dropped = buffer.shift();
+                console.warn('MongoTracker: Too many events while waiting for the participant ID, dropped', dropped.eventName);
+            }
+            return;
         }
         
-        sendEvent(eventName, properties);
+        sendEvent(eventName, properties, timestamp);
+    }
+    
+    /**
+     * Send an event that does not wait for consent or the participant ID, e.g.
+     * consent_declined: no participant ID, URL parameters or session token, and
+     * the page URL without its query string (where the Prolific ID travels)
+     * Sent once with keepalive, since the page is usually being left; it is not
+     * queued, persisted or retried. Resolves with the API's response, or null.
+     */
+    async function trackAnonymous(eventName, properties = {}, timestamp = new Date().toISOString()) {
+        const event = {
+            event_id: generateEventId(),
+            event_name: eventName,
+            participant_id: ANONYMOUS_PARTICIPANT_ID,
+            study_type: window.MongoTracker.studyType || detectStudyType(),
+            session_id: window.MongoTracker.sessionId || generateSessionId(),
+            properties: properties,
+            page_url: window.location.origin + window.location.pathname,
+            timestamp: timestamp
+        };
+        
+        try {
+            const response = await fetch(API_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(event),
+                keepalive: true
+            });
+            if (!response.ok) {
+                throw new Error('Request to ' + API_URL + ' failed: ' + response.status);
+            }
+            const result = await response.json();
+            console.log('MongoTracker: Anonymous event tracked:', eventName, result);
+            return result;
+        } catch (error) {
+            console.warn('MongoTracker: Could not send anonymous event:', eventName, error);
+            return null;
+        }
     }
     
     // Expose API
     window.MongoTracker.initialize = initialize;
     window.MongoTracker.track = track;
+    window.MongoTracker.trackAnonymous = trackAnonymous;
+    window.MongoTracker.enqueue = enqueue;
+    window.MongoTracker.flush = flush;
+    window.MongoTracker.onBeforeFlush = onBeforeFlush;
+    window.MongoTracker.setSessionState = setSessionState;
     
     // Auto-initialize when DOM is ready
     if (document.readyState === 'loading') {
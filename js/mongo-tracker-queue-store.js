@@ -0,0 +1,184 @@
+/**
+ * MongoDB Tracker - Durable Event Queue
+ * Persists queued events to IndexedDB (localStorage fallback) so events that
+ * were not delivered before the tab closed are replayed on the next page load
+ * of the same participant and study.
+ * Load before mongo-tracker-base.js.
+ */
+
+(function() {
+    'use strict';
+
+    const DB_NAME = 'mongo_tracker';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'event_queue';
+    const LOCAL_STORAGE_KEY = 'mongo_tracker_event_queue';
+
+    let dbPromise = null;
+
+    /**
+     * Open the IndexedDB database (resolves to null when IndexedDB is unavailable,
+     * e.g. some private browsing modes, so callers fall back to localStorage)
+     */
+    function openDatabase() {
+        if (dbPromise) {
+            return dbPromise;
+        }
+
+        dbPromise = new Promise((resolve) => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            try {
+                const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME, { keyPath: 'event_id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('MongoTrackerQueueStore: IndexedDB unavailable, using localStorage:', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn('MongoTrackerQueueStore: IndexedDB unavailable, using localStorage:', error);
+                resolve(null);
+            }
+        });
+
+        return dbPromise;
+    }
+
+    /**
+     * Run a read-write or read-only transaction against the queue store
+     */
+    function withStore(db, mode, callback) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const store = transaction.objectStore(STORE_NAME);
+            const result = callback(store);
+            transaction.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * localStorage fallback - events stored as { event_id: event }
+     */
+    function readLocal() {
+        try {
+            return JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function writeLocal(events) {
+        try {
+            if (Object.keys(events).length === 0) {
+                localStorage.removeItem(LOCAL_STORAGE_KEY);
+            } else {
+                localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(events));
+            }
+        } catch (error) {
+            // Quota exceeded or storage disabled - the in-memory queue still has the events
+            console.warn('MongoTrackerQueueStore: Could not write localStorage:', error);
+        }
+    }
+
+    /**
+     * Save events (upsert by event_id)
+     */
+    async function put(events) {
+        if (events.length === 0) return;
+
+        const db = await openDatabase();
+        if (db) {
+            try {
+                await withStore(db, 'readwrite', store => {
+                    events.forEach(event => store.put(event));
+                });
+                return;
+            } catch (error) {
+                console.warn('MongoTrackerQueueStore: IndexedDB write failed, using localStorage:', error);
+            }
+        }
+
+        const stored = readLocal();
+        events.forEach(event => {
+            stored[event.event_id] = event;
+        });
+        writeLocal(stored);
+    }
+
+    /**
+     * Remove delivered events
+     */
+    async function remove(eventIds) {
+        if (eventIds.length === 0) return;
+
+        const db = await openDatabase();
+        if (db) {
+            try {
+                await withStore(db, 'readwrite', store => {
+                    eventIds.forEach(eventId => store.delete(eventId));
+                });
+            } catch (error) {
+                console.warn('MongoTrackerQueueStore: IndexedDB delete failed:', error);
+            }
+        }
+
+        // Always clear the fallback too, in case an earlier write landed there
+        const stored = readLocal();
+        let changed = false;
+        eventIds.forEach(eventId => {
+            if (stored[eventId]) {
+                delete stored[eventId];
+                changed = true;
+            }
+        });
+        if (changed) {
+            writeLocal(stored);
+        }
+    }
+
+    /**
+     * Read every persisted event, oldest first
+     */
+    async function getAll() {
+        let events = [];
+
+        const db = await openDatabase();
+        if (db) {
+            try {
+                events = await withStore(db, 'readonly', store => store.getAll());
+            } catch (error) {
+                console.warn('MongoTrackerQueueStore: IndexedDB read failed:', error);
+            }
+        }
+
+        const local = readLocal();
+        Object.keys(local).forEach(eventId => {
+            if (!events.some(event => event.event_id === eventId)) {
+                events.push(local[eventId]);
+            }
+        });
+
+        return events.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+    }
+
+    // Expose API
+    window.MongoTrackerQueueStore = {
+        put: put,
+        remove: remove,
+        getAll: getAll
+    };
+
+    console.log('MongoTrackerQueueStore: Loaded');
+
+})();
@@ -1,6 +1,7 @@
 /**
  * MongoDB Tracker for Feed Video Study
- * Extends base tracker with video-specific events
+ * Extends base tracker with video-specific events, sent through js/tracking.js
+ * Load after mongo-tracker-base.js and tracking.js
  */
 
 // Load base tracker first (should be loaded before this)
@@ -11,9 +12,27 @@ if (typeof window.MongoTracker === 'undefined') {
 (function() {
     'use strict';
     
+    // These events use the legacy video vocabulary the API normalizes; GA4 gets
+    // its own video events from js/ga-video.js
+    const LEGACY_VIDEO_SINKS = ['mongo', 'console', 'download'];
+    
+    /**
+     * Track through js/tracking.js (MongoTracker directly when the page does not load the facade)
+     */
+    function track(eventName, properties) {
+        if (window.Tracking) {
+            window.Tracking.track(eventName, properties, { sinks: LEGACY_VIDEO_SINKS });
+        } else {
+            window.MongoTracker.track(eventName, properties);
+        }
+    }
+    
     // Initialize with study type
     if (window.MongoTracker && !window.MongoTracker.isInitialized) {
-        window.MongoTracker.initialize('feed_video');
+        // Resolves once the participant ID is known; events tracked meanwhile are buffered
+        window.MongoTracker.initialize('feed_video').catch(() => {
+            // Logged by the base tracker
+        });
     }
     
     // Video tracking state
@@ -33,7 +52,7 @@ if (typeof window.MongoTracker === 'undefined') {
         if (window.MongoTracker && !videoState.isStarted) {
             videoState.isStarted = true;
             videoState.videoStartTime = Date.now();
-            window.MongoTracker.track('video_start', {
+            track('video_start', {
                 video_duration: videoDuration,
                 video_type: 'feed_video',
                 video_id: 'nyu_feed_video'
@@ -47,7 +66,7 @@ if (typeof window.MongoTracker === 'undefined') {
     function trackVideoPlay(currentTime, videoDuration) {
         if (window.MongoTracker) {
             videoState.isPlaying = true;
-            window.MongoTracker.track('video_play', {
+            track('video_play', {
                 current_time: currentTime,
                 video_duration: videoDuration,
                 video_type: 'feed_video'
@@ -61,7 +80,7 @@ if (typeof window.MongoTracker === 'undefined') {
     function trackVideoPause(currentTime, videoDuration) {
         if (window.MongoTracker) {
             videoState.isPlaying = false;
-            window.MongoTracker.track('video_pause', {
+            track('video_pause', {
                 current_time: currentTime,
                 video_duration: videoDuration,
                 video_type: 'feed_video'
@@ -77,7 +96,7 @@ if (typeof window.MongoTracker === 'undefined') {
             videoState.milestonesReached.push(milestone);
             videoState.lastMilestone = milestone;
             
-            window.MongoTracker.track('video_progress', {
+            track('video_progress', {
                 milestone: milestone,
                 milestone_percent: milestone,
                 current_time: currentTime,
@@ -93,10 +112,10 @@ if (typeof window.MongoTracker === 'undefined') {
      */
     function trackVideoSessionComplete(totalWatchTime, videoDuration, milestonesReached) {
         if (window.MongoTracker && videoState.isStarted) {
-            window.MongoTracker.track('video_session_complete', {
+            track('video_session_complete', {
                 total_watch_time_seconds: totalWatchTime,
                 video_duration: videoDuration,
-                watch_percentage: Math.round((totalWatchTime / videoDuration) * 100),
+                watch_percentage: videoDuration > 0 ? Math.round((totalWatchTime / videoDuration) * 100) : 0,
                 milestones_reached: milestonesReached || videoState.milestonesReached,
                 milestone_25_reached: videoState.milestonesReached.includes(25),
                 milestone_50_reached: videoState.milestonesReached.includes(50),
@@ -112,7 +131,7 @@ if (typeof window.MongoTracker === 'undefined') {
      */
     function trackCTAClick(ctaType, ctaId) {
         if (window.MongoTracker) {
-            window.MongoTracker.track('cta_click', {
+            track('cta_click', {
                 cta_type: ctaType,
                 cta_id: ctaId,
                 video_type: 'feed_video'
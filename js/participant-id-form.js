@@ -0,0 +1,272 @@
+/**
+ * Participant ID Form
+ * Non-blocking, Instagram-styled replacement for prompt() when PROLIFIC_ID is
+ * not in the URL. Validates the ID format and requires it to be typed twice.
+ * ParticipantIdForm.request() resolves with the entered ID.
+ */
+
+(function() {
+    'use strict';
+
+    // Prolific IDs are 24 hexadecimal characters
+    const PROLIFIC_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+    const options = {
+        pattern: PROLIFIC_ID_PATTERN,
+        patternHint: 'Your Prolific ID is 24 characters long and uses only the digits 0-9 and letters a-f.',
+        requireConfirmation: true
+    };
+
+    const validationFailureListeners = [];
+    let pendingRequest = null;
+
+    const STYLES = `
+        .pid-modal-overlay {
+            position: fixed;
+            inset: 0;
+            z-index: 2000;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.65);
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+        }
+
+        .pid-modal {
+            background: #fff;
+            border: 1px solid #dbdbdb;
+            border-radius: 12px;
+            width: 90%;
+            max-width: 350px;
+            padding: 32px 40px 24px;
+            text-align: center;
+            color: #262626;
+        }
+
+        .pid-modal-logo {
+            font-size: 32px;
+            font-weight: bold;
+            margin-bottom: 12px;
+            background: linear-gradient(45deg, #f09433 0%, #e6683c 25%, #dc2743 50%, #cc2366 75%, #bc1888 100%);
+            -webkit-background-clip: text;
+            -webkit-text-fill-color: transparent;
+        }
+
+        .pid-modal-title {
+            font-size: 16px;
+            font-weight: 600;
+            color: #737373;
+            line-height: 1.3;
+            margin-bottom: 20px;
+        }
+
+        .pid-modal input {
+            display: block;
+            width: 100%;
+            margin-bottom: 6px;
+            padding: 9px 8px;
+            font-size: 16px;
+            background: #fafafa;
+            border: 1px solid #dbdbdb;
+            border-radius: 3px;
+            outline: none;
+        }
+
+        .pid-modal input:focus {
+            border-color: #a8a8a8;
+        }
+
+        .pid-modal input.invalid {
+            border-color: #ed4956;
+        }
+
+        .pid-modal-error {
+            min-height: 18px;
+            margin: 8px 0;
+            font-size: 14px;
+            color: #ed4956;
+        }
+
+        .pid-modal-submit {
+            width: 100%;
+            padding: 7px 16px;
+            font-size: 14px;
+            font-weight: 600;
+            color: #fff;
+            background: #0095f6;
+            border: none;
+            border-radius: 8px;
+            cursor: pointer;
+        }
+
+        .pid-modal-submit:active {
+            opacity: 0.7;
+        }
+
+        .pid-modal-hint {
+            margin-top: 16px;
+            font-size: 12px;
+            color: #737373;
+            line-height: 1.4;
+        }
+    `;
+
+    /**
+     * Override the default validation options
+     * e.g. configure({ pattern: /^TEST_[0-9]+$/, patternHint: '...' }) for pilots
+     */
+    function configure(overrides = {}) {
+        Object.assign(options, overrides);
+    }
+
+    /**
+     * Register a callback for rejected entries: callback({ reason, attempt, input_length })
+     */
+    function onValidationFailure(callback) {
+        validationFailureListeners.push(callback);
+    }
+
+    /**
+     * Rejected entries are tracked as participant_id_validation_failed through
+     * js/tracking.js when the page loads it; listeners are told either way
+     */
+    function reportValidationFailure(failure) {
+        if (window.Tracking) {
+            window.Tracking.track('participant_id_validation_failed', failure);
+        }
+        validationFailureListeners.forEach(callback => {
+            try {
+                callback(failure);
+            } catch (error) {
+                console.error('ParticipantIdForm: Error in validation failure callback:', error);
+            }
+        });
+    }
+
+    /**
+     * Check an entry; returns null when valid, otherwise { reason, message }
+     */
+    function validate(value, confirmation) {
+        if (value === '') {
+            return { reason: 'empty', message: 'Participant ID is required to participate in this study.' };
+        }
+        if (options.pattern && !options.pattern.test(value)) {
+            return { reason: 'pattern_mismatch', message: 'That does not look like a valid Participant ID. Please check it and try again.' };
+        }
+        if (options.requireConfirmation && value !== confirmation) {
+            return { reason: 'confirmation_mismatch', message: 'The two IDs do not match. Please enter the same ID twice.' };
+        }
+        return null;
+    }
+
+    /**
+     * Resolve once the DOM exists (scripts in <head> run before <body> is parsed)
+     */
+    function whenDomReady() {
+        return new Promise((resolve) => {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', resolve, { once: true });
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    function injectStyles() {
+        if (document.getElementById('pid-modal-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'pid-modal-styles';
+        style.textContent = STYLES;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Build the modal
+     */
+    function createModal() {
+        const overlay = document.createElement('div');
+        overlay.className = 'pid-modal-overlay';
+        overlay.id = 'participant-id-form';
+        overlay.innerHTML =
+            '<form class="pid-modal" novalidate>' +
+                '<div class="pid-modal-logo">Instagram</div>' +
+                '<div class="pid-modal-title">Enter your Participant ID to continue</div>' +
+                '<input name="participant-id" type="text" placeholder="Participant ID" aria-label="Participant ID" autocomplete="off" autocapitalize="off" autocorrect="off" spellcheck="false">' +
+                (options.requireConfirmation ?
+                    '<input name="participant-id-confirm" type="text" placeholder="Confirm Participant ID" aria-label="Confirm Participant ID" autocomplete="off" autocapitalize="off" autocorrect="off" spellcheck="false">' : '') +
+                '<div class="pid-modal-error" role="alert"></div>' +
+                '<button type="submit" class="pid-modal-submit">Continue</button>' +
+                (options.patternHint ? '<div class="pid-modal-hint"></div>' : '') +
+            '</form>';
+
+        if (options.patternHint) {
+            overlay.querySelector('.pid-modal-hint').textContent = options.patternHint;
+        }
+        return overlay;
+    }
+
+    /**
+     * Show the modal and resolve with a valid, confirmed ID
+     * Concurrent callers share one modal and one answer
+     */
+    function request() {
+        if (pendingRequest) {
+            return pendingRequest;
+        }
+
+        pendingRequest = whenDomReady().then(() => new Promise((resolve) => {
+            injectStyles();
+
+            const overlay = createModal();
+            const form = overlay.querySelector('form');
+            const input = form.querySelector('[name="participant-id"]');
+            const confirmInput = form.querySelector('[name="participant-id-confirm"]');
+            const error = form.querySelector('.pid-modal-error');
+            let attempt = 0;
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                attempt++;
+
+                const value = input.value.trim();
+                const confirmation = confirmInput ? confirmInput.value.trim() : value;
+                const failure = validate(value, confirmation);
+
+                input.classList.toggle('invalid', !!failure && failure.reason !== 'confirmation_mismatch');
+                if (confirmInput) {
+                    confirmInput.classList.toggle('invalid', !!failure && failure.reason === 'confirmation_mismatch');
+                }
+
+                if (failure) {
+                    error.textContent = failure.message;
+                    console.warn('ParticipantIdForm: Invalid entry:', failure.reason);
+                    reportValidationFailure({
+                        reason: failure.reason,
+                        attempt: attempt,
+                        input_length: value.length
+                    });
+                    (failure.reason === 'confirmation_mismatch' ? confirmInput : input).focus();
+                    return;
+                }
+
+                overlay.remove();
+                console.log('ParticipantIdForm: Participant ID entered after', attempt, 'attempt(s)');
+                resolve(value);
+            });
+
+            document.body.appendChild(overlay);
+            input.focus();
+        }));
+
+        return pendingRequest;
+    }
+
+    // Expose API
+    window.ParticipantIdForm = {
+        request: request,
+        configure: configure,
+        onValidationFailure: onValidationFailure,
+        PROLIFIC_ID_PATTERN: PROLIFIC_ID_PATTERN
+    };
+
+})();
@@ -0,0 +1,132 @@
+/**
+ * Participation Check
+ * Shows an explanatory screen instead of the Tap to Start overlay when the
+ * participant registry (POST /api/participants/check-in, called by the base
+ * tracker) excludes the participant - e.g. they already took part in this
+ * study or in the reel study.
+ * Load after mongo-tracker-base.js and tracking.js.
+ */
+
+(function() {
+    'use strict';
+
+    const options = {
+        enabled: false,
+        title: 'You cannot take part in this study',
+        messages: {
+            repeat: 'Our records show you have already taken part in this study. Each participant can only take part once. Please return the study on Prolific.',
+            cross_study: 'Our records show you have already taken part in a related study, so you are not eligible for this one. Please return the study on Prolific.'
+        },
+        returnUrl: null,  // Optional link shown on the screen
+        returnLabel: 'Return to Prolific'
+    };
+
+    const state = {
+        isChecked: false,
+        startOverlay: null,
+        excludedOverlay: null
+    };
+
+    /**
+     * Override defaults, e.g. configure({ enabled: true, returnUrl: '...' })
+     */
+    function configure(overrides = {}) {
+        const messages = Object.assign({}, options.messages, overrides.messages);
+        Object.assign(options, overrides, { messages: messages });
+    }
+
+    function getParticipation() {
+        return window.MongoTracker ? window.MongoTracker.participation : null;
+    }
+
+    function isExcluded() {
+        const participation = getParticipation();
+        return !!participation && participation.allowed === false;
+    }
+
+    /**
+     * Tap to Start is usable once the registry has answered and the participant is allowed
+     */
+    function canStart() {
+        return !options.enabled || (state.isChecked && !isExcluded());
+    }
+
+    function render() {
+        if (!isExcluded() || !state.excludedOverlay) return;
+
+        const overlay = state.excludedOverlay;
+        const reason = getParticipation().reason;
+        overlay.querySelector('[data-exclusion-field="title"]').textContent = options.title;
+        overlay.querySelector('[data-exclusion-field="message"]').textContent =
+            options.messages[reason] || options.messages.repeat;
+
+        const link = overlay.querySelector('[data-exclusion-field="return"]');
+        if (link) {
+            link.hidden = !options.returnUrl;
+            if (options.returnUrl) {
+                link.href = options.returnUrl;
+                link.textContent = options.returnLabel;
+            }
+        }
+
+        if (state.startOverlay) {
+            state.startOverlay.classList.add('hidden');
+        }
+        overlay.classList.remove('hidden');
+    }
+
+    /**
+     * Wire the Tap to Start overlay and the (hidden) exclusion overlay
+     */
+    function attachOverlays(startOverlay, excludedOverlay) {
+        state.startOverlay = startOverlay;
+        state.excludedOverlay = excludedOverlay;
+        render();
+    }
+
+    /**
+     * Wait for the tracker's check-in, then show the screen if excluded
+     */
+    async function waitForCheckIn() {
+        try {
+            await window.MongoTracker.ready;
+            if (isExcluded()) {
+                const participation = getParticipation();
+                console.log('ParticipationCheck: Participant excluded:', participation.reason);
+                window.Tracking.track('participation_excluded_shown', {
+                    reason: participation.reason
+                });
+                render();
+            }
+        } catch (error) {
+            console.warn('ParticipationCheck: Tracker did not initialize, continuing:', error);
+        } finally {
+            state.isChecked = true;
+        }
+        return getParticipation();
+    }
+
+    const configReady = (window.StudyConfig ? window.StudyConfig.ready : Promise.resolve(null)).then(config => {
+        const participation = config && config.participation;
+        if (participation) {
+            configure({
+                enabled: !!participation.enabled,
+                title: participation.excluded_title || options.title,
+                messages: participation.excluded_messages || {},
+                returnUrl: participation.excluded_return_url || options.returnUrl
+            });
+        }
+    }).catch(error => {
+        console.error('ParticipationCheck: Could not apply study config:', error);
+    });
+
+    // Expose API
+    window.ParticipationCheck = {
+        configure: configure,
+        attachOverlays: attachOverlays,
+        canStart: canStart,
+        isExcluded: isExcluded,
+        ready: configReady.then(() => (options.enabled && window.MongoTracker ? waitForCheckIn() : null))
+    };
+
+})();
@@ -0,0 +1,81 @@
+/**
+ * Study Configuration
+ * Loads config/studies/<name>.json so a study variant (video, post copy, survey
+ * URL, trackers) can be launched without editing JavaScript.
+ * The variant comes from the ?study= query parameter, default "feed_video".
+ * StudyConfig.ready resolves with the parsed configuration.
+ */
+
+(function() {
+    'use strict';
+
+    const CONFIG_DIR = 'config/studies/';
+    const DEFAULT_STUDY = 'feed_video';
+    const STUDY_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+    window.StudyConfig = {
+        name: null,
+        config: null,
+        ready: null
+    };
+
+    /**
+     * Name of the requested variant (invalid names fall back to the default)
+     */
+    function getStudyName() {
+        const requested = new URLSearchParams(window.location.search).get('study');
+        if (requested && STUDY_NAME_PATTERN.test(requested)) {
+            return requested;
+        }
+        if (requested) {
+            console.warn('StudyConfig: Ignoring invalid study name:', requested);
+        }
+        return DEFAULT_STUDY;
+    }
+
+    async function fetchConfig(name) {
+        const response = await fetch(CONFIG_DIR + name + '.json', { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error('Could not load study config "' + name + '": ' + response.status);
+        }
+        return response.json();
+    }
+
+    /**
+     * Load the requested variant, falling back to the default one
+     */
+    async function load() {
+        const name = getStudyName();
+
+        try {
+            window.StudyConfig.config = await fetchConfig(name);
+            window.StudyConfig.name = name;
+        } catch (error) {
+            if (name === DEFAULT_STUDY) {
+                throw error;
+            }
+            console.error('StudyConfig:', error.message, '- using', DEFAULT_STUDY);
+            window.StudyConfig.config = await fetchConfig(DEFAULT_STUDY);
+            window.StudyConfig.name = DEFAULT_STUDY;
+        }
+
+        console.log('StudyConfig: Loaded study config:', window.StudyConfig.name);
+        return window.StudyConfig.config;
+    }
+
+    /**
+     * Read a nested value, e.g. get('survey.gate.min_watch_seconds')
+     */
+    function get(path, fallback) {
+        const value = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), window.StudyConfig.config);
+        return value === undefined ? fallback : value;
+    }
+
+    // Expose API
+    window.StudyConfig.get = get;
+    window.StudyConfig.ready = load();
+    window.StudyConfig.ready.catch(error => {
+        console.error('StudyConfig: Failed to load study config:', error);
+    });
+
+})();
@@ -0,0 +1,163 @@
+/**
+ * Study Quota
+ * Asks the API whether the participant's condition still needs completed
+ * sessions and, once it is full, shows a "study full" screen instead of the
+ * Tap to Start overlay. Fails open: if the API cannot be reached the study runs.
+ * Load after mongo-tracker-base.js and tracking.js.
+ */
+
+(function() {
+    'use strict';
+
+    const QUOTA_TIMEOUT = 5000; // 5 seconds
+
+    const options = {
+        enabled: false,
+        title: 'This study is full',
+        message: 'Thank you for your interest. We have all the responses we need for this study, so you cannot take part. Please return the study on Prolific.',
+        returnUrl: null,  // Optional link shown on the study full screen
+        returnLabel: 'Return to Prolific'
+    };
+
+    const state = {
+        status: null,  // Last response from the API
+        isChecked: false,
+        startOverlay: null,
+        fullOverlay: null
+    };
+
+    /**
+     * Override defaults, e.g. configure({ enabled: true, returnUrl: '...' })
+     */
+    function configure(overrides = {}) {
+        Object.assign(options, overrides);
+    }
+
+    async function fetchStatus(condition, participantId) {
+        const controller = window.AbortController ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), QUOTA_TIMEOUT) : null;
+
+        try {
+            const query = new URLSearchParams({ condition: condition });
+            if (participantId) {
+                query.set('participant_id', participantId);
+            }
+            // Needed for participant_id when the API enforces session tokens
+            if (window.MongoTracker.sessionToken) {
+                query.set('session_token', window.MongoTracker.sessionToken);
+            }
+            const response = await fetch(window.MongoTracker.apiBase + '/quota?' + query.toString(), {
+                cache: 'no-cache',
+                signal: controller ? controller.signal : undefined
+            });
+            if (!response.ok) {
+                throw new Error('Quota request failed: ' + response.status);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * A participant who already completed is never turned away
+     */
+    function isFull() {
+        const status = state.status;
+        return !!status && status.is_full && !status.participant_completed;
+    }
+
+    /**
+     * Tap to Start is usable once the check has finished and the condition is open
+     */
+    function canStart() {
+        return !options.enabled || (state.isChecked && !isFull());
+    }
+
+    function render() {
+        if (!isFull() || !state.fullOverlay) return;
+
+        const overlay = state.fullOverlay;
+        overlay.querySelector('[data-quota-field="title"]').textContent = options.title;
+        overlay.querySelector('[data-quota-field="message"]').textContent = options.message;
+
+        const link = overlay.querySelector('[data-quota-field="return"]');
+        if (link) {
+            link.hidden = !options.returnUrl;
+            if (options.returnUrl) {
+                link.href = options.returnUrl;
+                link.textContent = options.returnLabel;
+            }
+        }
+
+        if (state.startOverlay) {
+            state.startOverlay.classList.add('hidden');
+        }
+        overlay.classList.remove('hidden');
+    }
+
+    /**
+     * Check the condition's quota once the participant and condition are known
+     */
+    async function check() {
+        const tracker = window.MongoTracker;
+        try {
+            await tracker.ready;
+            // Excluded participants get the participation screen instead (js/participation-check.js)
+            if (tracker.participation && tracker.participation.allowed === false) {
+                return null;
+            }
+            const condition = tracker.assignment && tracker.assignment.condition ?
+                tracker.assignment.condition : tracker.studyType;
+            state.status = await fetchStatus(condition, tracker.participantId);
+
+            if (isFull()) {
+                console.log('StudyQuota: Quota reached for', condition, '- showing study full screen');
+                window.Tracking.track('study_full_shown', {
+                    condition: condition,
+                    target: state.status.target,
+                    completed: state.status.completed
+                });
+                render();
+            }
+        } catch (error) {
+            console.warn('StudyQuota: Could not check quota, continuing:', error);
+        } finally {
+            state.isChecked = true;
+        }
+        return state.status;
+    }
+
+    /**
+     * Wire the Tap to Start overlay and the (hidden) study full overlay
+     */
+    function attachOverlays(startOverlay, fullOverlay) {
+        state.startOverlay = startOverlay;
+        state.fullOverlay = fullOverlay;
+        render();
+    }
+
+    const configReady = (window.StudyConfig ? window.StudyConfig.ready : Promise.resolve(null)).then(config => {
+        const quota = config && config.quota;
+        if (quota) {
+            configure({
+                enabled: !!quota.enabled,
+                title: quota.full_title || options.title,
+                message: quota.full_message || options.message,
+                returnUrl: quota.full_return_url || options.returnUrl
+            });
+        }
+    }).catch(error => {
+        console.error('StudyQuota: Could not apply study config:', error);
+    });
+
+    // Expose API
+    window.StudyQuota = {
+        configure: configure,
+        attachOverlays: attachOverlays,
+        canStart: canStart,
+        isFull: isFull,
+        ready: configReady.then(() => (options.enabled && window.MongoTracker ? check() : null))
+    };
+
+})();
@@ -0,0 +1,340 @@
+/**
+ * Return to Survey
+ * Builds the Qualtrics redirect URL from a template so the survey receives the
+ * participant's exposure as embedded data, makes sure the final tracking events
+ * are delivered, then navigates back to it. An optional exposure gate keeps the
+ * button locked until the participant has watched enough of the video.
+ */
+
+(function() {
+    'use strict';
+
+    const GATE_CHECK_INTERVAL = 1000; // 1 second
+
+    const options = {
+        // Set from survey.return_url_template in the study config. Placeholders in
+        // {braces} are replaced with URL-encoded values from getReturnValues(); each
+        // query parameter must exist as an Embedded Data field in the Qualtrics survey flow.
+        urlTemplate: null,
+        flushTimeout: 2000,  // Max wait for the API to acknowledge the final events
+        // Exposure gate - all null means the button is usable right away
+        gate: {
+            minWatchSeconds: null,  // Unlock after this much watch time...
+            minMilestone: null,  // ...or once this progress milestone (25/50/75/100) is reached
+            maxSessionSeconds: null  // Return automatically this long after Tap to Start
+        }
+    };
+
+    let isReturning = false;
+    let isConfigured = false;
+
+    // Gate state
+    const gateState = {
+        button: null,
+        label: '',
+        isLocked: false,
+        timer: null,
+        trackingStartedAt: null,
+        blockedClicks: 0
+    };
+
+    /**
+     * Override defaults, e.g. configure({ urlTemplate: '...' })
+     */
+    function configure(overrides = {}) {
+        const gate = Object.assign({}, options.gate, overrides.gate);
+        Object.assign(options, overrides, { gate: gate });
+    }
+
+    /**
+     * Take the survey settings from the study config (js/study-config.js)
+     */
+    const configReady = (window.StudyConfig ? window.StudyConfig.ready : Promise.resolve(null)).then(config => {
+        const survey = config && config.survey;
+        if (survey) {
+            const gate = survey.gate || {};
+            configure({
+                urlTemplate: survey.return_url_template || options.urlTemplate,
+                flushTimeout: survey.flush_timeout_ms || options.flushTimeout,
+                gate: {
+                    minWatchSeconds: gate.min_watch_seconds,
+                    minMilestone: gate.min_milestone,
+                    maxSessionSeconds: gate.max_session_seconds
+                }
+            });
+        }
+    }).catch(error => {
+        console.error('SurveyReturn: Could not apply study config:', error);
+    }).then(() => {
+        isConfigured = true;
+    });
+
+    function getExposure() {
+        return window.VideoTracker && window.VideoTracker.getExposureSummary ?
+            window.VideoTracker.getExposureSummary() : {};
+    }
+
+    function trackGateEvent(eventName, properties = {}) {
+        if (window.Tracking) {
+            window.Tracking.track(eventName, {
+                min_watch_seconds: options.gate.minWatchSeconds,
+                min_milestone: options.gate.minMilestone,
+                max_session_seconds: options.gate.maxSessionSeconds,
+                ...properties
+            });
+        }
+    }
+
+    /**
+     * Values available to the URL template
+     */
+    function getReturnValues(returnReason = 'participant') {
+        const tracker = window.MongoTracker || {};
+        const exposure = getExposure();
+
+        return {
+            participant_id: tracker.participantId,
+            session_id: tracker.sessionId,
+            condition: exposure.condition || tracker.studyType,
+            total_watch_time_seconds: exposure.total_watch_time_seconds,
+            completion_rate: exposure.completion_rate,
+            max_progress_reached: exposure.max_progress_reached,
+            play_count: exposure.play_count,
+            milestones_reached: (exposure.milestones_reached || []).join(','),
+            consent: window.ConsentScreen ? window.ConsentScreen.getStatus() : null,
+            return_reason: returnReason
+        };
+    }
+
+    /**
+     * Fill in the template; unknown or missing values become empty strings
+     */
+    function buildReturnUrl(values = getReturnValues()) {
+        if (!options.urlTemplate) {
+            return null;
+        }
+        return options.urlTemplate.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = values[name];
+            return value === undefined || value === null ? '' : encodeURIComponent(value);
+        });
+    }
+
+    /**
+     * Record the return and deliver everything still queued (including the
+     * feed_video_summary, which the video tracker adds in its before-flush callback)
+     * Never rejects - leaving the page must not depend on the API
+     */
+    async function flushTracking(values) {
+        if (!window.Tracking) {
+            return false;
+        }
+
+        try {
+            window.Tracking.enqueue('return_to_survey', values);
+            const acknowledged = await window.Tracking.flush({
+                reason: 'return_to_survey',
+                timeout: options.flushTimeout
+            });
+            console.log('SurveyReturn: Final events', acknowledged ? 'acknowledged' : 'handed to sendBeacon');
+            return acknowledged;
+        } catch (error) {
+            console.error('SurveyReturn: Error flushing tracking events:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Navigate back to the survey once the final events are delivered
+     * returnReason: 'participant' (button), 'max_session_length' (gate timeout)
+     * or 'consent_declined' (js/consent-screen.js)
+     */
+    async function returnToSurvey(returnReason = 'participant') {
+        // Ignore repeated clicks while the final flush is running
+        if (isReturning) return;
+        isReturning = true;
+        stopGate();
+
+        const values = getReturnValues(returnReason);
+        await flushTracking(values);
+
+        const surveyUrl = buildReturnUrl(values);
+        if (!surveyUrl) {
+            console.error('SurveyReturn: No return URL configured (survey.return_url_template)');
+            isReturning = false;
+            return;
+        }
+        console.log('SurveyReturn: Returning to survey:', surveyUrl);
+
+        // Navigate to survey
+        // If this window was opened as a popup, it may close automatically
+        // Otherwise, it will navigate to the survey
+        window.location.href = surveyUrl;
+
+        // Try to close the window (works if opened by JavaScript/popup)
+        // Note: Browsers block closing tabs that user opened directly
+        setTimeout(() => {
+            try {
+                window.close();
+            } catch (err) {
+                // window.close() failed - that's okay, navigation will happen
+            }
+        }, 100);
+    }
+
+    /**
+     * Check the exposure gate
+     * Returns { unlocked, reason, remainingSeconds } - remainingSeconds is the
+     * watch time still needed (null when only a milestone is configured)
+     */
+    function getGateStatus(exposure = getExposure()) {
+        const gate = options.gate;
+        const hasWatchGate = typeof gate.minWatchSeconds === 'number';
+        const hasMilestoneGate = typeof gate.minMilestone === 'number';
+
+        if (!hasWatchGate && !hasMilestoneGate) {
+            return { unlocked: true, reason: 'no_gate', remainingSeconds: 0 };
+        }
+
+        const watched = exposure.total_watch_time_seconds || 0;
+        if (hasWatchGate && watched >= gate.minWatchSeconds) {
+            return { unlocked: true, reason: 'min_watch_time', remainingSeconds: 0 };
+        }
+
+        const milestones = exposure.milestones_reached || [];
+        if (hasMilestoneGate && milestones.some(milestone => milestone >= gate.minMilestone)) {
+            return { unlocked: true, reason: 'milestone', remainingSeconds: 0 };
+        }
+
+        return {
+            unlocked: false,
+            reason: null,
+            remainingSeconds: hasWatchGate ? Math.max(0, Math.ceil(gate.minWatchSeconds - watched)) : null
+        };
+    }
+
+    function formatCountdown(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = seconds % 60;
+        return minutes + ':' + (rest < 10 ? '0' : '') + rest;
+    }
+
+    /**
+     * Show the locked/unlocked state on the button
+     * Locked buttons use aria-disabled rather than disabled so clicks can still be logged
+     */
+    function renderGate(status) {
+        const button = gateState.button;
+        if (!button) return;
+
+        button.classList.toggle('locked', !status.unlocked);
+        button.setAttribute('aria-disabled', status.unlocked ? 'false' : 'true');
+
+        if (status.unlocked) {
+            button.textContent = gateState.label;
+        } else if (status.remainingSeconds !== null) {
+            button.textContent = gateState.label + ' (' + formatCountdown(status.remainingSeconds) + ')';
+        } else {
+            button.textContent = gateState.label + ' (watch ' + options.gate.minMilestone + '%)';
+        }
+    }
+
+    /**
+     * Re-check the gate and the maximum session length (runs every second)
+     */
+    function checkGate() {
+        const exposure = getExposure();
+        const status = getGateStatus(exposure);
+
+        if (gateState.isLocked && status.unlocked) {
+            gateState.isLocked = false;
+            console.log('SurveyReturn: Return button unlocked:', status.reason);
+            trackGateEvent('return_gate_unlocked', {
+                unlock_reason: status.reason,
+                total_watch_time_seconds: exposure.total_watch_time_seconds,
+                milestones_reached: exposure.milestones_reached,
+                blocked_clicks: gateState.blockedClicks
+            });
+        }
+        renderGate(status);
+
+        // The session clock starts at Tap to Start
+        if (gateState.trackingStartedAt === null && exposure.is_tracking_enabled) {
+            gateState.trackingStartedAt = Date.now();
+        }
+
+        const maxSeconds = options.gate.maxSessionSeconds;
+        if (typeof maxSeconds === 'number' && gateState.trackingStartedAt !== null &&
+            Date.now() - gateState.trackingStartedAt >= maxSeconds * 1000) {
+            console.log('SurveyReturn: Maximum session length reached, returning to survey');
+            trackGateEvent('return_gate_auto_return', {
+                session_seconds: Math.round((Date.now() - gateState.trackingStartedAt) / 1000),
+                total_watch_time_seconds: exposure.total_watch_time_seconds,
+                gate_was_locked: gateState.isLocked
+            });
+            returnToSurvey('max_session_length');
+        }
+    }
+
+    function stopGate() {
+        if (gateState.timer) {
+            clearInterval(gateState.timer);
+            gateState.timer = null;
+        }
+    }
+
+    /**
+     * Wire the "Return to Survey" button, applying the exposure gate if configured
+     */
+    function attachButton(button) {
+        gateState.button = button;
+        gateState.label = button.textContent.trim();
+
+        // The gate settings come with the study config
+        configReady.then(() => {
+            const gate = options.gate;
+            const status = getGateStatus();
+            gateState.isLocked = !status.unlocked;
+            renderGate(status);
+
+            if (gateState.isLocked) {
+                trackGateEvent('return_gate_locked', {});
+            }
+            if (gateState.isLocked || typeof gate.maxSessionSeconds === 'number') {
+                gateState.timer = setInterval(checkGate, GATE_CHECK_INTERVAL);
+            }
+        });
+
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            // Not usable until the return URL and gate are known (a few milliseconds)
+            if (!isConfigured) return;
+
+            if (gateState.isLocked) {
+                gateState.blockedClicks++;
+                const exposure = getExposure();
+                trackGateEvent('return_gate_blocked_click', {
+                    blocked_clicks: gateState.blockedClicks,
+                    total_watch_time_seconds: exposure.total_watch_time_seconds,
+                    remaining_seconds: getGateStatus(exposure).remainingSeconds
+                });
+                return;
+            }
+
+            returnToSurvey('participant');
+        });
+    }
+
+    // Expose API
+    window.SurveyReturn = {
+        configure: configure,
+        attachButton: attachButton,
+        getGateStatus: getGateStatus,
+        getReturnValues: getReturnValues,
+        buildReturnUrl: buildReturnUrl,
+        returnToSurvey: returnToSurvey,
+        ready: configReady
+    };
+
+})();
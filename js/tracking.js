@@ -0,0 +1,439 @@
+/**
+ * Tracking
+ * The one place page code and the video trackers send events to. Each event
+ * goes to every enabled sink - the Mongo API (MongoTracker), GA4 (GALite), the
+ * console and a local JSONL download - and each sink shapes the event its own
+ * way and deals with its own failures, so one sink being blocked or down never
+ * stops the others. Sinks are chosen in the study config (tracking.sinks);
+ * events tracked before the config is applied wait for it.
+ * Load after mongo-tracker-base.js and before the trackers that use it.
+ */
+
+(function() {
+    'use strict';
+
+    const GA_SCRIPT_URL = 'js/ga-lite-clean.js';
+    const GA_POLL_INTERVAL = 250;  // ms between checks while GA4 loads
+    const GA_LOAD_TIMEOUT = 15000;  // Give up on GA4 (blocked, no measurement ID) after this long
+    const GA_BUFFER_LIMIT = 100;  // Events kept while GA4 loads; the oldest are dropped beyond this
+    // GA4 collection limits; GALite adds user_id and participant_id to every event
+    const GA_NAME_LENGTH = 40;
+    const GA_VALUE_LENGTH = 100;
+    const GA_MAX_PARAMETERS = 25 - 2;
+    // Sent only when they hold GALite's analytics ID, never a raw Prolific ID
+    const GA_IDENTIFIER_PARAMS = ['participant_id', 'user_id'];
+    const DOWNLOAD_BUFFER_LIMIT = 5000;  // Events kept for the download; the oldest are dropped beyond this
+
+    // Sinks the study config does not mention keep these settings
+    const DEFAULT_SINKS = { mongo: { enabled: true } };
+
+    const sinks = {};  // name -> { send(event), start?(options), flush?(options) }
+    const sinkDefaults = {};  // name -> options used when the study config does not mention the sink
+    const sinkStatus = {};  // name -> { enabled, sent, failed, dropped, last_error }
+    const pendingEvents = [];  // Tracked before configure()
+    let sinkConfig = null;  // tracking.sinks once configure() has run
+
+    function recordFailure(name, error) {
+        const status = sinkStatus[name];
+        status.failed++;
+        status.last_error = error && error.message ? error.message : String(error);
+        console.warn('Tracking: Sink "' + name + '" failed:', status.last_error);
+    }
+
+    function recordDrop(name, count, reason) {
+        sinkStatus[name].dropped += count;
+        console.warn('Tracking: Sink "' + name + '" dropped', count, 'event(s):', reason);
+    }
+
+    /**
+     * Mongo API - MongoTracker adds the participant, session and sequence
+     * envelope, persists the queue and retries, so events are passed on as they
+     * are, with the time the facade recorded them; anonymous events go out on
+     * their own, without the envelope
+     */
+    const mongoSink = {
+        send(event) {
+            if (!window.MongoTracker || !window.MongoTracker.track) {
+                throw new Error('MongoTracker is not loaded');
+            }
+            if (event.anonymous) {
+                return window.MongoTracker.trackAnonymous(event.event_name, event.properties, event.timestamp);
+            }
+            if (event.queued) {
+                window.MongoTracker.enqueue(event.event_name, event.properties, event.timestamp);
+            } else {
+                window.MongoTracker.track(event.event_name, event.properties, event.timestamp);
+            }
+        },
+        flush(options) {
+            return window.MongoTracker && window.MongoTracker.flush ?
+                window.MongoTracker.flush(options) : Promise.resolve(false);
+        }
+    };
+
+    /**
+     * GA4 - loads js/ga-lite-clean.js when the page has not (after consent, when
+     * the page asks for it), keeps events while gtag loads and fits their
+     * parameters to GA4's limits. GALite sends the participant's analytics ID
+     * (the pseudonym when the API pseudonymizes IDs); any other participant
+     * identifier and URL query strings are removed from the parameters.
+     */
+    const ga4Sink = {
+        buffer: [],
+        isUnavailable: false,
+
+        start() {
+            waitForConsent().then(() => {
+                loadGa();
+            }).catch(() => {
+                ga4Sink.isUnavailable = true;
+                recordDrop('ga4', ga4Sink.buffer.splice(0).length, 'no consent');
+            });
+        },
+
+        send(event) {
+            if (this.isUnavailable) {
+                recordDrop('ga4', 1, 'GA4 did not load');
+                return;
+            }
+            if (!isGaReady()) {
+                this.buffer.push(event);
+                if (this.buffer.length > GA_BUFFER_LIMIT) {
+                    this.buffer.shift();
+                    recordDrop('ga4', 1, 'buffer full while GA4 loads');
+                }
+                return;
+            }
+            sendToGa(event);
+        },
+
+        // gtag delivers on its own; only events still waiting for GA4 are unsent
+        flush() {
+            return Promise.resolve(this.buffer.length === 0);
+        }
+    };
+
+    /**
+     * Resolves once the participant has consented (js/consent-screen.js), or
+     * right away when the page has no consent step; rejects otherwise
+     */
+    async function waitForConsent() {
+        if (!window.ConsentScreen) return;
+
+        await window.ConsentScreen.ready;
+        if (!window.ConsentScreen.hasConsented()) {
+            throw new Error('No consent given');
+        }
+    }
+
+    function loadGa() {
+        if (!window.GALite && !document.querySelector('script[src="' + GA_SCRIPT_URL + '"]')) {
+            const script = document.createElement('script');
+            script.src = GA_SCRIPT_URL;
+            document.head.appendChild(script);
+        }
+
+        const startedAt = Date.now();
+        const timer = setInterval(() => {
+            if (isGaReady()) {
+                clearInterval(timer);
+                const buffered = ga4Sink.buffer.splice(0);
+                buffered.forEach(event => sendToGa(event));
+            } else if ((window.GALite && window.GALite.isUnavailable) || Date.now() - startedAt >= GA_LOAD_TIMEOUT) {
+                clearInterval(timer);
+                ga4Sink.isUnavailable = true;
+                recordDrop('ga4', ga4Sink.buffer.splice(0).length, 'GA4 did not load');
+            }
+        }, GA_POLL_INTERVAL);
+    }
+
+    function isGaReady() {
+        return !!(window.GALite && window.GALite.isLoaded && typeof window.gtag === 'function');
+    }
+
+    function sendToGa(event) {
+        // e.g. return_to_survey carries participant_id, which GALite only
+        // replaces when it has an analytics ID
+        const properties = Object.assign({}, event.properties);
+        GA_IDENTIFIER_PARAMS.forEach(name => {
+            if (name in properties && properties[name] !== window.GALite.userId) {
+                delete properties[name];
+            }
+        });
+
+        const params = toGaParams(properties);
+        const studyId = window.StudyConfig && window.StudyConfig.get ? window.StudyConfig.get('study_id', null) : null;
+        const condition = window.StudyConfig && window.StudyConfig.get ? window.StudyConfig.get('condition', null) : null;
+        if (studyId && !('study_id' in params)) params.study_id = studyId;
+        if (condition && !('condition' in params)) params.condition = condition;
+
+        try {
+            window.GALite.track(toGaName(event.event_name), params);
+        } catch (error) {
+            recordFailure('ga4', error);
+        }
+    }
+
+    function toGaName(name) {
+        return String(name).replace(/[^A-Za-z0-9_]/g, '_').slice(0, GA_NAME_LENGTH);
+    }
+
+    /**
+     * GA4 parameters are flat strings and numbers: arrays are joined, objects
+     * and nulls left out, and names, values and the parameter count capped.
+     * URLs lose their query string and fragment, where Prolific IDs travel
+     * (e.g. assignment_redirect's target_url).
+     */
+    function toGaParams(properties) {
+        const params = {};
+        let count = 0;
+        Object.keys(properties).forEach(key => {
+            let value = properties[key];
+            if (Array.isArray(value)) {
+                value = value.join(',');
+            }
+            if (value === null || value === undefined || typeof value === 'object' || count >= GA_MAX_PARAMETERS) {
+                return;
+            }
+            if (typeof value === 'string') {
+                if (/^https?:\/\//i.test(value)) {
+                    value = value.split(/[?#]/)[0];
+                }
+                value = value.slice(0, GA_VALUE_LENGTH);
+            }
+            params[toGaName(key)] = value;
+            count++;
+        });
+        return params;
+    }
+
+    /**
+     * Console - for building and piloting a study
+     */
+    const consoleSink = {
+        send(event) {
+            console.log('Tracking: [' + event.timestamp + ']' + (event.queued ? ' (queued)' : ''),
+                event.event_name, event.properties);
+        }
+    };
+
+    /**
+     * Download - keeps the session's events in memory and saves them as a JSONL
+     * file with Tracking.download(), or on every flush with save_on_flush
+     * (the final flushes run when the participant leaves the page)
+     */
+    const downloadSink = {
+        records: [],
+        saveOnFlush: false,
+
+        start(options) {
+            this.saveOnFlush = !!options.save_on_flush;
+        },
+
+        send(event) {
+            const tracker = window.MongoTracker || {};
+            this.records.push({
+                event_name: event.event_name,
+                properties: event.properties,
+                timestamp: event.timestamp,
+                participant_id: tracker.participantId || null,
+                session_id: tracker.sessionId || null,
+                study_type: tracker.studyType || null,
+                page_url: window.location.href
+            });
+            if (this.records.length > DOWNLOAD_BUFFER_LIMIT) {
+                this.records.shift();
+                recordDrop('download', 1, 'buffer full');
+            }
+        },
+
+        flush() {
+            if (this.saveOnFlush) {
+                save();
+            }
+            return Promise.resolve(true);
+        }
+    };
+
+    /**
+     * Save the download sink's events as a JSONL file
+     * Returns false when there is nothing to save or the browser cannot save files
+     */
+    function save(filename) {
+        const records = downloadSink.records;
+        if (records.length === 0) {
+            return false;
+        }
+
+        try {
+            const sessionId = (window.MongoTracker && window.MongoTracker.sessionId) || 'session';
+            const blob = new Blob([records.map(record => JSON.stringify(record)).join('\n') + '\n'], { type: 'application/x-ndjson' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename || 'tracking-' + sessionId + '.jsonl';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            console.log('Tracking: Saved', records.length, 'event(s) to', link.download);
+            return true;
+        } catch (error) {
+            recordFailure('download', error);
+            return false;
+        }
+    }
+
+    /**
+     * Add a sink: { send(event), start?(options), flush?(options) }
+     * event is { event_name, properties, timestamp, queued, anonymous }; send may throw or
+     * return a rejected promise, which counts as a failure of that sink only.
+     * The sink is enabled when tracking.sinks.<name>.enabled (or defaults.enabled) is true.
+     */
+    function registerSink(name, sink, defaults = {}) {
+        sinks[name] = sink;
+        sinkDefaults[name] = defaults;
+        sinkStatus[name] = { enabled: false, sent: 0, failed: 0, dropped: 0, last_error: null };
+        if (sinkConfig) {
+            applySinkConfig(name);
+        }
+    }
+
+    function applySinkConfig(name) {
+        const options = Object.assign({}, sinkDefaults[name], sinkConfig[name]);
+        const status = sinkStatus[name];
+        const enabled = !!options.enabled;
+
+        if (enabled && !status.enabled && sinks[name].start) {
+            try {
+                sinks[name].start(options);
+            } catch (error) {
+                recordFailure(name, error);
+                return;
+            }
+        }
+        status.enabled = enabled;
+    }
+
+    /**
+     * Choose the sinks, e.g. configure({ mongo: { enabled: true }, console: { enabled: true } }),
+     * then pass on the events tracked so far
+     */
+    function configure(sinkOptions = {}) {
+        sinkConfig = Object.assign({}, DEFAULT_SINKS, sinkOptions);
+        Object.keys(sinks).forEach(applySinkConfig);
+
+        const enabled = Object.keys(sinks).filter(name => sinkStatus[name].enabled);
+        console.log('Tracking: Sinks enabled:', enabled.join(', ') || 'none');
+
+        pendingEvents.splice(0).forEach(dispatch);
+    }
+
+    /**
+     * Hand an event to every enabled sink, each with its own copy of the properties
+     */
+    function dispatch(event) {
+        Object.keys(sinks).forEach(name => {
+            const status = sinkStatus[name];
+            if (!status.enabled || (event.sinks && !event.sinks.includes(name))) return;
+
+            try {
+                const result = sinks[name].send(Object.assign({}, event, { properties: Object.assign({}, event.properties) }));
+                if (result && typeof result.then === 'function') {
+                    result.catch(error => recordFailure(name, error));
+                }
+                status.sent++;
+            } catch (error) {
+                recordFailure(name, error);
+            }
+        });
+    }
+
+    function record(eventName, properties, queued, options) {
+        const event = {
+            event_name: eventName,
+            properties: properties || {},
+            timestamp: new Date().toISOString(),
+            queued: queued,
+            sinks: options.sinks || null,
+            anonymous: !!options.anonymous
+        };
+        if (sinkConfig) {
+            dispatch(event);
+        } else {
+            pendingEvents.push(event);
+        }
+    }
+
+    /**
+     * Track an event
+     * options.sinks limits it to some of the enabled sinks, e.g. { sinks: ['ga4'] };
+     * options.anonymous sends it without the participant's identity, before or
+     * without consent (MongoTracker.trackAnonymous)
+     */
+    function track(eventName, properties = {}, options = {}) {
+        record(eventName, properties, false, options);
+    }
+
+    /**
+     * Track an event that must go out with the next flush() rather than on its
+     * own, e.g. return_to_survey just before leaving the page
+     */
+    function enqueue(eventName, properties = {}, options = {}) {
+        record(eventName, properties, true, options);
+    }
+
+    /**
+     * Flush every enabled sink (options go to MongoTracker.flush: { reason, timeout })
+     * Resolves true when every sink has delivered or handed over its events; never rejects
+     */
+    async function flush(options = {}) {
+        await configReady;
+
+        const results = await Promise.all(Object.keys(sinks)
+            .filter(name => sinkStatus[name].enabled && sinks[name].flush)
+            .map(name => Promise.resolve()
+                .then(() => sinks[name].flush(options))
+                .catch(error => {
+                    recordFailure(name, error);
+                    return false;
+                })));
+        return results.every(Boolean);
+    }
+
+    /**
+     * Per-sink counters, e.g. { mongo: { enabled, sent, failed, dropped, last_error }, ... }
+     */
+    function getStatus() {
+        const status = {};
+        Object.keys(sinkStatus).forEach(name => {
+            status[name] = Object.assign({}, sinkStatus[name]);
+        });
+        return status;
+    }
+
+    registerSink('mongo', mongoSink);
+    registerSink('ga4', ga4Sink);
+    registerSink('console', consoleSink);
+    registerSink('download', downloadSink);
+
+    const configReady = (window.StudyConfig ? window.StudyConfig.ready : Promise.resolve(null)).then(config => {
+        configure(config && config.tracking && config.tracking.sinks);
+    }).catch(error => {
+        console.error('Tracking: Could not apply study config, using the Mongo API only:', error);
+        configure();
+    });
+
+    // Expose API
+    window.Tracking = {
+        track: track,
+        enqueue: enqueue,
+        flush: flush,
+        configure: configure,
+        registerSink: registerSink,
+        getStatus: getStatus,
+        download: save,
+        ready: configReady
+    };
+
+})();
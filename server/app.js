@@ -0,0 +1,112 @@
+/**
+ * Tracking API - Request handler
+ * Implements the routes used by js/mongo-tracker-base.js
+ */
+
+'use strict';
+
+const { HttpError, setCorsHeaders, sendJson } = require('./lib/http');
+const { createStaticHandler } = require('./lib/static');
+const { createAssignmentService } = require('./lib/assignment');
+const { createQuotaService } = require('./lib/quota');
+const { createParticipantRegistry } = require('./lib/participant-registry');
+const { createSessionLookup } = require('./lib/sessions');
+const { createParticipantDataService } = require('./lib/participant-data');
+const { createPseudonymizer } = require('./lib/pseudonyms');
+const { createSessionTokens } = require('./lib/session-tokens');
+const { createSchemaRegistry } = require('./lib/event-schemas');
+const { createTrackRoutes } = require('./routes/track');
+const { createAssignmentRoutes } = require('./routes/assignment');
+const { createQuotaRoutes } = require('./routes/quota');
+const { createParticipantRoutes } = require('./routes/participants');
+const { createSessionRoutes } = require('./routes/sessions');
+const { createAdminRoutes } = require('./routes/admin');
+
+/**
+ * Create the request handler for a configured store
+ */
+function createApp({ store, config }) {
+    // Routes pseudonymize incoming participant IDs; the services only ever see the stored form
+    const pseudonyms = createPseudonymizer({ store, config });
+    const sessionTokens = createSessionTokens(config);
+    const schemas = createSchemaRegistry(config);
+    const quotaService = createQuotaService({ store, config });
+    const trackRoutes = createTrackRoutes({ store, config, quotaService, pseudonyms, sessionTokens, schemas });
+    const assignmentService = createAssignmentService({ store, config });
+    const assignmentRoutes = createAssignmentRoutes({ assignmentService, pseudonyms, config });
+    const quotaRoutes = createQuotaRoutes({ quotaService, pseudonyms, sessionTokens });
+    const sessionLookup = createSessionLookup({ store, config });
+    const participantRegistry = createParticipantRegistry({ store, config, quotaService, sessionLookup });
+    const participantRoutes = createParticipantRoutes({ participantRegistry, pseudonyms, sessionTokens, config });
+    const sessionRoutes = createSessionRoutes({ sessionLookup, pseudonyms, sessionTokens, config });
+    const participantData = createParticipantDataService({ store, config, pseudonyms });
+    const adminRoutes = createAdminRoutes({ store, participantData, pseudonyms, schemas, config });
+    const serveStatic = config.staticDir ? createStaticHandler(config.staticDir) : null;
+
+    const routes = {
+        'POST /api/track': trackRoutes.track,
+        'POST /api/track/batch': trackRoutes.trackBatch,
+        'POST /api/assignment': assignmentRoutes.assign,
+        'GET /api/assignment/counts': assignmentRoutes.counts,
+        'GET /api/quota': quotaRoutes.status,
+        'POST /api/participants/check-in': participantRoutes.checkIn,
+        'POST /api/participants/pseudonym': participantRoutes.pseudonym,
+        'GET /api/sessions/latest': sessionRoutes.latest,
+        'POST /api/sessions/token': sessionRoutes.token,
+        'GET /api/admin/participants/export': adminRoutes.exportParticipant,
+        'POST /api/admin/participants/delete': adminRoutes.deleteParticipant,
+        'GET /api/admin/pseudonyms': adminRoutes.listPseudonyms,
+        'GET /api/admin/quarantine': adminRoutes.quarantineSummary,
+        'GET /api/health': async (req, res) => {
+            const eventCount = await store.collection(config.eventsCollection).count();
+            const quarantinedCount = await store.collection(config.quarantineCollection).count();
+            sendJson(res, 200, {
+                ok: true,
+                storage: store.type,
+                event_count: eventCount,
+                quarantined_count: quarantinedCount,
+                schema_version: schemas.version
+            });
+        }
+    };
+
+    return async function handleRequest(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const routePath = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+
+        setCorsHeaders(req, res);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const handler = routes[`${req.method} ${routePath}`];
+
+        try {
+            if (handler) {
+                await handler(req, res);
+                return;
+            }
+            if (req.method === 'GET' && serveStatic && !routePath.startsWith('/api/') && serveStatic(req, res, routePath)) {
+                return;
+            }
+            throw new HttpError(404, `No route for ${req.method} ${routePath}`);
+        } catch (error) {
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+            if (error instanceof HttpError) {
+                Object.entries(error.headers).forEach(([name, value]) => res.setHeader(name, value));
+                sendJson(res, error.status, { success: false, error: error.message, details: error.details });
+                return;
+            }
+            console.error('TrackingAPI: Unhandled error:', error);
+            sendJson(res, 500, { success: false, error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = { createApp };
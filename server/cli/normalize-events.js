@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Tracking API - Event normalization CLI
+ * Rewrites events collected before normalization (or by the legacy tracker)
+ * into the canonical vocabulary, the same way the API does on ingest, so
+ * older and newer data can be analysed together. Works on a JSONL export
+ * (data/events.jsonl, or mongoexport output) and writes a new file; the
+ * stored data is left as it is.
+ *
+ * Lines that are not JSON events (a truncated last line, a stray document) are
+ * reported on stderr, skipped and counted. With --out the file is written next
+ * to its destination and renamed into place only once the input has been read,
+ * so a failed run never leaves half a file behind.
+ *
+ * Usage:
+ *   node server/cli/normalize-events.js <events.jsonl> [--out normalized.jsonl]
+ *   mongoexport --db instagram_study --collection events | node server/cli/normalize-events.js - --out normalized.jsonl
+ */
+
+'use strict';
+
+const fs = require('fs');
+const readline = require('readline');
+const { normalizeEvent } = require('../lib/normalize-event');
+
+const USAGE = `Usage:
+  node server/cli/normalize-events.js <events.jsonl | -> [--out normalized.jsonl]`;
+
+async function main() {
+    const args = process.argv.slice(2);
+    const outIndex = args.indexOf('--out');
+    const outPath = outIndex === -1 ? null : args[outIndex + 1];
+    const inputPath = args.find((arg, index) => outIndex === -1 || (index !== outIndex && index !== outIndex + 1));
+
+    if (!inputPath || (outIndex !== -1 && !outPath)) {
+        console.error(USAGE);
+        process.exit(2);
+    }
+
+    const input = inputPath === '-' ? process.stdin : fs.createReadStream(inputPath, { encoding: 'utf8' });
+    const partialPath = outPath ? `${outPath}.partial` : null;
+    const output = outPath ? fs.createWriteStream(partialPath, { encoding: 'utf8' }) : process.stdout;
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    let lineNumber = 0;
+    let total = 0;
+    let changed = 0;
+    let invalid = 0;
+    let skipped = 0;
+    try {
+        for await (const line of lines) {
+            lineNumber++;
+            if (!line.trim()) continue;
+
+            // One bad line (e.g. cut off by a crash, or null) must not abort the whole conversion
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch (error) {
+                console.error(`Line ${lineNumber} is not valid JSON, skipped`);
+                invalid++;
+                continue;
+            }
+            if (!event || typeof event !== 'object' || Array.isArray(event) || typeof event.event_name !== 'string') {
+                console.error(`Line ${lineNumber} is not an event with an event_name, skipped`);
+                skipped++;
+                continue;
+            }
+            const normalized = normalizeEvent(event);
+            total++;
+            if (normalized.normalized_from && !event.normalized_from) {
+                changed++;
+            }
+            output.write(JSON.stringify(normalized) + '\n');
+        }
+
+        if (outPath) {
+            await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+            await fs.promises.rename(partialPath, outPath);
+        }
+    } catch (error) {
+        if (outPath) {
+            output.destroy();
+            await fs.promises.rm(partialPath, { force: true });
+        }
+        throw error;
+    }
+    console.error(`Normalized ${total} events (${changed} changed, ${invalid} invalid JSON lines and ${skipped} non-events skipped)${outPath ? ' to ' + outPath : ''}`);
+}
+
+main().catch(error => {
+    console.error('normalize-events:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * Tracking API - Participant data CLI
+ * Wraps the admin routes so IRB/GDPR requests need no hand-written queries.
+ * Talks to the running API (which owns the storage) rather than the files or database.
+ *
+ * Usage:
+ *   node server/cli/participant-data.js export <participant_id> [--out file.json]
+ *   node server/cli/participant-data.js delete <participant_id> --reason "..." [--requested-by name] --yes
+ *   node server/cli/participant-data.js pseudonyms [--pseudonym pid_...] [--out file.json]
+ *
+ * Settings: ADMIN_API_TOKEN (required), API_URL (default http://localhost:3000)
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const USAGE = `Usage:
+  node server/cli/participant-data.js export <participant_id> [--out file.json]
+  node server/cli/participant-data.js delete <participant_id> --reason "..." [--requested-by name] --yes
+  node server/cli/participant-data.js pseudonyms [--pseudonym pid_...] [--out file.json]`;
+
+/**
+ * Split argv into positional arguments and --flags
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+        } else if (arg === '--yes') {
+            flags.yes = true;
+        } else {
+            flags[arg.slice(2)] = argv[++i];
+        }
+    }
+    return { positional, flags };
+}
+
+async function callApi(path, { method = 'GET', body } = {}) {
+    const apiUrl = (process.env.API_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    const response = await fetch(apiUrl + path, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${process.env.ADMIN_API_TOKEN}`,
+            'Content-Type': 'application/json'
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(`${response.status} ${result.error || response.statusText}`);
+    }
+    return result;
+}
+
+async function exportCommand(participantId, flags) {
+    const result = await callApi('/api/admin/participants/export?participant_id=' + encodeURIComponent(participantId));
+    delete result.success;
+    const json = JSON.stringify(result, null, 2) + '\n';
+
+    if (flags.out) {
+        fs.writeFileSync(flags.out, json, 'utf8');
+        const total = Object.values(result.collections).reduce((sum, docs) => sum + docs.length, 0);
+        console.error(`Exported ${total} documents to ${flags.out}`);
+    } else {
+        process.stdout.write(json);
+    }
+}
+
+async function deleteCommand(participantId, flags) {
+    if (!flags.reason) {
+        throw new Error('--reason is required for the audit record');
+    }
+    if (!flags.yes) {
+        throw new Error(`This permanently deletes every document for ${participantId}. Re-run with --yes to confirm.`);
+    }
+
+    const result = await callApi('/api/admin/participants/delete', {
+        method: 'POST',
+        body: {
+            participant_id: participantId,
+            reason: flags.reason,
+            requested_by: flags['requested-by'] || null
+        }
+    });
+    console.log(JSON.stringify(result.audit, null, 2));
+}
+
+/**
+ * Pseudonym -> Prolific ID mappings, for payment reconciliation
+ */
+async function pseudonymsCommand(flags) {
+    const query = flags.pseudonym ? '?pseudonym=' + encodeURIComponent(flags.pseudonym) : '';
+    const result = await callApi('/api/admin/pseudonyms' + query);
+    const json = JSON.stringify(result.mappings, null, 2) + '\n';
+
+    if (flags.out) {
+        fs.writeFileSync(flags.out, json, 'utf8');
+        console.error(`Exported ${result.count} mappings to ${flags.out}`);
+    } else {
+        process.stdout.write(json);
+    }
+}
+
+async function main() {
+    const { positional, flags } = parseArgs(process.argv.slice(2));
+    const [command, participantId] = positional;
+
+    if (!(['export', 'delete'].includes(command) && participantId) && command !== 'pseudonyms') {
+        console.error(USAGE);
+        process.exit(2);
+    }
+    if (!process.env.ADMIN_API_TOKEN) {
+        throw new Error('ADMIN_API_TOKEN must be set');
+    }
+
+    if (command === 'pseudonyms') {
+        await pseudonymsCommand(flags);
+    } else if (command === 'export') {
+        await exportCommand(participantId, flags);
+    } else {
+        await deleteCommand(participantId, flags);
+    }
+}
+
+main().catch(error => {
+    console.error('participant-data:', error.message);
+    process.exit(1);
+});
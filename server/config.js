@@ -0,0 +1,119 @@
+/**
+ * Tracking API - Configuration
+ * All settings come from environment variables so the same code runs
+ * locally, in CI and behind a production process manager
+ */
+
+'use strict';
+
+const path = require('path');
+const { parseTargets } = require('./lib/quota');
+
+/**
+ * Read a true/false flag; anything but "false", "0" or "no" counts as true
+ */
+function parseFlag(value, fallback) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    return !['false', '0', 'no'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Read a number; only a missing, empty or non-numeric value falls back, so an
+ * explicit 0 (e.g. no replay grace, no minimum completion rate) is kept
+ */
+function parseNumber(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? fallback : number;
+}
+
+/**
+ * Read a whole number, falling back like parseNumber
+ */
+function parseInteger(value, fallback) {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? fallback : number;
+}
+
+/**
+ * Build configuration from the environment
+ */
+function loadConfig(env = process.env) {
+    return {
+        port: parseInteger(env.PORT, 3000),
+        // Static files (index.html, js/, assets/) are served from the repo root
+        staticDir: env.STATIC_DIR || path.resolve(__dirname, '..'),
+        storage: {
+            adapter: env.STORAGE_ADAPTER || 'jsonl',
+            dataDir: env.DATA_DIR || path.resolve(__dirname, '..', 'data'),
+            mongoUri: env.MONGODB_URI || null,
+            mongoDb: env.MONGODB_DB || 'instagram_study'
+        },
+        eventsCollection: env.EVENTS_COLLECTION || 'events',
+        assignment: {
+            arms: (env.ASSIGNMENT_ARMS || 'feed_video,feed_carousel,reel_video,reel_carousel').split(',').map(arm => arm.trim()).filter(Boolean),
+            perArmPerBlock: parseInteger(env.ASSIGNMENT_BLOCK_REPEATS, 2),
+            // Fixed seed keeps block order stable across restarts; set a private value in production
+            seed: env.ASSIGNMENT_SEED || 'instagram-study-assignment',
+            collection: 'assignments'
+        },
+        quota: {
+            // e.g. QUOTA_TARGETS=feed_video:150,reel_video:150 (conditions not listed have no limit)
+            targets: parseTargets(env.QUOTA_TARGETS),
+            // A feed_video_summary meeting both thresholds counts as a completed session
+            minWatchSeconds: parseNumber(env.QUOTA_MIN_WATCH_SECONDS, 0),
+            minCompletionRate: parseNumber(env.QUOTA_MIN_COMPLETION_RATE, 100),
+            collection: 'completions'
+        },
+        participation: {
+            allowResume: parseFlag(env.PARTICIPATION_ALLOW_RESUME, true),  // Unfinished sessions may be restarted
+            // ...within this long of the participant's last activity (the tracker's session_resume_minutes)
+            resumeWindowMinutes: parseNumber(env.PARTICIPATION_RESUME_WINDOW_MINUTES, 30),
+            blockRepeat: parseFlag(env.PARTICIPATION_BLOCK_REPEAT, true),  // No second run of the same study
+            blockCrossStudy: parseFlag(env.PARTICIPATION_BLOCK_CROSS_STUDY, true),  // No taking part in another study type
+            collection: 'participants'
+        },
+        pseudonyms: {
+            enabled: parseFlag(env.PSEUDONYMIZE_PARTICIPANT_IDS, false),
+            key: env.PSEUDONYM_KEY || null,  // Secret; without it pseudonyms cannot be recomputed
+            // Give each study its own salt so pseudonyms cannot be linked across studies
+            salt: env.PSEUDONYM_SALT || 'instagram-study',
+            collection: 'participant_pseudonyms'
+        },
+        sessionTokens: {
+            // off (accept unsigned events), quarantine (store them apart) or reject
+            mode: (env.SESSION_TOKEN_MODE || 'off').toLowerCase(),
+            secret: env.SESSION_TOKEN_SECRET || null,
+            ttlMinutes: parseNumber(env.SESSION_TOKEN_TTL_MINUTES, 120),
+            // How long after expiry an event created before it still verifies
+            replayGraceHours: parseNumber(env.SESSION_TOKEN_REPLAY_GRACE_HOURS, 168)
+        },
+        eventSchemas: {
+            // quarantine (events not matching the registry are stored apart) or off
+            mode: (env.EVENT_SCHEMA_MODE || 'quarantine').toLowerCase(),
+            path: env.EVENT_SCHEMA_PATH || path.resolve(__dirname, '..', 'config', 'event-schemas.json')
+        },
+        // Events failing the session token or schema checks
+        quarantineCollection: 'quarantined_events',
+        // Bearer token for /api/admin routes; unset disables them
+        adminToken: env.ADMIN_API_TOKEN || null,
+        dataRequests: {
+            auditCollection: 'deletion_audit'
+        },
+        maxBodyBytes: parseInteger(env.MAX_BODY_BYTES, 1024 * 1024),
+        limits: {
+            windowSeconds: parseInteger(env.RATE_LIMIT_WINDOW_SECONDS, 60),
+            // Events per window; a lab or campus network can put many participants behind one IP
+            eventsPerIp: parseInteger(env.RATE_LIMIT_EVENTS_PER_IP, 3000),
+            eventsPerSession: parseInteger(env.RATE_LIMIT_EVENTS_PER_SESSION, 300),
+            // Matches BATCH_SIZE in js/mongo-tracker-base.js
+            maxBatchEvents: parseInteger(env.MAX_BATCH_EVENTS, 10),
+            maxPropertiesBytes: parseInteger(env.MAX_PROPERTIES_BYTES, 32 * 1024),
+            // Behind a reverse proxy the client IP comes from X-Forwarded-For
+            trustProxy: parseFlag(env.TRUST_PROXY, false)
+        }
+    };
+}
+
+module.exports = { loadConfig };
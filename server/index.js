@@ -0,0 +1,36 @@
+/**
+ * Tracking API - Local server entry point
+ * Usage: node server/index.js   (settings from the environment, see config.js)
+ */
+
+'use strict';
+
+const http = require('http');
+const { loadConfig } = require('./config');
+const { createStore } = require('./storage');
+const { createApp } = require('./app');
+
+async function main() {
+    const config = loadConfig();
+    const store = createStore(config.storage);
+    const server = http.createServer(createApp({ store, config }));
+
+    server.listen(config.port, () => {
+        console.log(`TrackingAPI: Listening on http://localhost:${config.port} (storage: ${store.type})`);
+    });
+
+    const shutdown = () => {
+        console.log('TrackingAPI: Shutting down...');
+        server.close(async () => {
+            await store.close();
+            process.exit(0);
+        });
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error('TrackingAPI: Failed to start:', error);
+    process.exit(1);
+});
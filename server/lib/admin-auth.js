@@ -0,0 +1,35 @@
+/**
+ * Tracking API - Admin authentication
+ * Admin routes (participant export/deletion) need
+ * "Authorization: Bearer <ADMIN_API_TOKEN>"; without a configured token they are disabled.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+
+/**
+ * Compare in constant time so the token cannot be guessed byte by byte
+ */
+function tokensMatch(given, expected) {
+    const givenHash = crypto.createHash('sha256').update(given).digest();
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(givenHash, expectedHash);
+}
+
+/**
+ * Throw unless the request carries the admin token
+ */
+function requireAdmin(req, config) {
+    if (!config.adminToken) {
+        throw new HttpError(403, 'Admin routes are disabled (set ADMIN_API_TOKEN to enable them)');
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match || !tokensMatch(match[1].trim(), config.adminToken)) {
+        throw new HttpError(401, 'Missing or invalid admin token');
+    }
+}
+
+module.exports = { requireAdmin };
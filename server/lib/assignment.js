@@ -0,0 +1,86 @@
+/**
+ * Tracking API - Condition assignment
+ * Permuted-block randomization: every block holds each arm the same number of
+ * times in a random order, so arm sizes never differ by more than one block.
+ * Assignments are sticky - a participant always gets their first arm back.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { createSerialQueue } = require('./serial-queue');
+
+/**
+ * Shuffle a block deterministically from the seed and block number, so a
+ * restart in the middle of a block continues the same permutation
+ */
+function getBlock(arms, perArm, seed, blockNumber) {
+    const block = [];
+    arms.forEach(arm => {
+        for (let i = 0; i < perArm; i++) {
+            block.push(arm);
+        }
+    });
+
+    // Fisher-Yates with HMAC-derived randomness
+    for (let i = block.length - 1; i > 0; i--) {
+        const digest = crypto.createHmac('sha256', seed).update(`${blockNumber}:${i}`).digest();
+        const j = digest.readUInt32BE(0) % (i + 1);
+        [block[i], block[j]] = [block[j], block[i]];
+    }
+    return block;
+}
+
+function createAssignmentService({ store, config }) {
+    const { arms, perArmPerBlock, seed } = config.assignment;
+    if (arms.length === 0 || !Number.isInteger(perArmPerBlock) || perArmPerBlock < 1) {
+        throw new Error('Condition assignment needs at least one ASSIGNMENT_ARMS entry and ASSIGNMENT_BLOCK_REPEATS of 1 or more');
+    }
+    const assignments = store.collection(config.assignment.collection);
+    const blockSize = arms.length * perArmPerBlock;
+
+    // Single-process lock; running several API instances needs an atomic counter instead
+    const runExclusive = createSerialQueue();
+
+    /**
+     * Return the participant's arm, assigning one if they have none yet
+     */
+    function assign(participantId) {
+        return runExclusive(async () => {
+            const [existing] = await assignments.find({ participant_id: participantId }, { limit: 1 });
+            if (existing) {
+                return { ...existing, is_new: false };
+            }
+
+            const index = await assignments.count();
+            const blockNumber = Math.floor(index / blockSize);
+            const blockPosition = index % blockSize;
+            const assignment = {
+                participant_id: participantId,
+                condition: getBlock(arms, perArmPerBlock, seed, blockNumber)[blockPosition],
+                assignment_index: index,
+                block_number: blockNumber,
+                block_position: blockPosition,
+                assigned_at: new Date().toISOString()
+            };
+
+            await assignments.insertMany([assignment]);
+            return { ...assignment, is_new: true };
+        });
+    }
+
+    /**
+     * Number of participants assigned to each arm
+     */
+    async function getCounts() {
+        const counts = {};
+        for (const arm of arms) {
+            counts[arm] = await assignments.count({ condition: arm });
+        }
+        return counts;
+    }
+
+    return { arms, assign, getCounts };
+}
+
+module.exports = { createAssignmentService, getBlock };
@@ -0,0 +1,47 @@
+/**
+ * Tracking API - Event schema registry
+ * config/event-schemas.json holds a JSON Schema for the properties of every
+ * event the trackers send. Events with an unknown name or properties that do
+ * not match are quarantined (EVENT_SCHEMA_MODE=quarantine, the default) rather
+ * than stored with the study data.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { validateSchema } = require('../../js/json-schema');
+
+const MODES = ['off', 'quarantine'];
+
+function createSchemaRegistry(config) {
+    const { mode, path } = config.eventSchemas;
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown EVENT_SCHEMA_MODE "${mode}" (expected one of: ${MODES.join(', ')})`);
+    }
+
+    // Read once at startup; a broken registry should stop the server, not quarantine everything
+    const registry = mode === 'off' ? { version: null, events: {} } : JSON.parse(fs.readFileSync(path, 'utf8'));
+    if (mode !== 'off' && (!registry.events || typeof registry.events !== 'object')) {
+        throw new Error(`Event schema registry ${path} has no "events" object`);
+    }
+
+    /**
+     * Why an event does not match the registry - { reason, errors } - or null
+     * when it does (always null when schema checks are off)
+     */
+    function check(event) {
+        if (mode === 'off') {
+            return null;
+        }
+        const schema = registry.events[event.event_name];
+        if (!schema) {
+            return { reason: 'unknown_event', errors: [`event_name "${event.event_name}" is not in the schema registry`] };
+        }
+        const errors = validateSchema(schema, event.properties);
+        return errors.length > 0 ? { reason: 'schema_violation', errors } : null;
+    }
+
+    return { enabled: mode !== 'off', version: registry.version, check };
+}
+
+module.exports = { createSchemaRegistry };
@@ -0,0 +1,84 @@
+/**
+ * Tracking API - HTTP helpers
+ */
+
+'use strict';
+
+class HttpError extends Error {
+    constructor(status, message, details, headers = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+        this.headers = headers;  // Extra response headers, e.g. Retry-After
+    }
+}
+
+/**
+ * Allow the page to call the API from another local origin (e.g. Live Server)
+ */
+function setCorsHeaders(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+}
+
+/**
+ * Read and parse a JSON request body
+ * sendBeacon posts as text/plain, so the content type is not checked
+ */
+function readJsonBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            if (size > maxBytes) return;
+            size += chunk.length;
+            if (size > maxBytes) {
+                // Discard the rest rather than dropping the connection, so the client gets
+                // the 413; the connection is closed once it is sent
+                reject(new HttpError(413, 'Request body too large', { max_body_bytes: maxBytes }, { Connection: 'close' }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (size > maxBytes) return;
+            const raw = Buffer.concat(chunks).toString('utf8');
+            if (!raw.trim()) {
+                reject(new HttpError(400, 'Request body is empty'));
+                return;
+            }
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body is not valid JSON'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+module.exports = {
+    HttpError,
+    setCorsHeaders,
+    sendJson,
+    readJsonBody
+};
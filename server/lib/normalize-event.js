@@ -0,0 +1,105 @@
+/**
+ * Tracking API - Event normalization
+ * Two video vocabularies reach the API: the legacy one from js/mongo-tracker.js
+ * (video_start, video_play, video_pause, video_progress, video_session_complete)
+ * and the current one from js/mongo-feed-video-tracker.js (feed_video_*).
+ * Events are stored in the current vocabulary so data from both trackers can be
+ * analysed together. A changed event keeps what it was sent as in
+ * normalized_from: { event_name, properties } (only the properties that changed).
+ *
+ * Version 2: a completion_rate that is not a number becomes 0 (the legacy
+ * tracker divided by a zero video duration, which JSON sends as null).
+ */
+
+'use strict';
+
+const NORMALIZATION_VERSION = 2;
+
+const LEGACY_EVENT_NAMES = {
+    video_start: 'feed_video_start',
+    video_play: 'feed_video_play',
+    video_pause: 'feed_video_pause',
+    video_progress: 'feed_video_progress',
+    video_session_complete: 'feed_video_summary'
+};
+
+// Property aliases in video events -> canonical name
+const PROPERTY_ALIASES = {
+    watch_percentage: 'completion_rate',
+    total_watch_time: 'total_watch_time_seconds',
+    video_type: 'condition'
+};
+
+const MILESTONES = [25, 50, 75, 100];
+
+/**
+ * Milestones as a sorted array of unique numbers, whether they arrive as an
+ * array, a comma-separated string or a Set (which JSON turns into {} - then
+ * the milestone_<n>_reached flags are all that is left)
+ */
+function normalizeMilestones(value, properties) {
+    let milestones;
+    if (Array.isArray(value)) {
+        milestones = value.map(Number);
+    } else if (typeof value === 'string') {
+        milestones = value.split(',').filter(part => part.trim() !== '').map(Number);
+    } else {
+        milestones = MILESTONES.filter(milestone => properties[`milestone_${milestone}_reached`] === true);
+    }
+    return Array.from(new Set(milestones.filter(Number.isFinite))).sort((a, b) => a - b);
+}
+
+/**
+ * Return the event in the canonical vocabulary (a new object; the input is not changed)
+ */
+function normalizeEvent(event) {
+    const eventName = LEGACY_EVENT_NAMES[event.event_name] || event.event_name;
+    if (!eventName.startsWith('feed_video_') || !event.properties) {
+        return { ...event, normalization_version: NORMALIZATION_VERSION };
+    }
+
+    const properties = { ...event.properties };
+    const original = {};
+
+    Object.keys(PROPERTY_ALIASES).forEach(alias => {
+        const name = PROPERTY_ALIASES[alias];
+        // Never overwrite a value sent under the canonical name
+        if (alias in properties && !(name in properties)) {
+            original[alias] = properties[alias];
+            properties[name] = properties[alias];
+            delete properties[alias];
+        }
+    });
+
+    // Nothing was measured, so the session cannot count as complete (see lib/quota.js)
+    if ('completion_rate' in properties && !Number.isFinite(properties.completion_rate)) {
+        if (!('completion_rate' in original) && !('watch_percentage' in original)) {
+            original.completion_rate = properties.completion_rate;
+        }
+        properties.completion_rate = 0;
+    }
+
+    // The legacy watch_percentage is not capped; completion_rate is
+    if (typeof properties.completion_rate === 'number' && properties.completion_rate > 100) {
+        if (!('completion_rate' in original) && !('watch_percentage' in original)) {
+            original.completion_rate = properties.completion_rate;
+        }
+        properties.completion_rate = 100;
+    }
+
+    if ('milestones_reached' in properties || MILESTONES.some(milestone => `milestone_${milestone}_reached` in properties)) {
+        const milestones = normalizeMilestones(properties.milestones_reached, properties);
+        if (JSON.stringify(milestones) !== JSON.stringify(properties.milestones_reached)) {
+            original.milestones_reached = properties.milestones_reached;
+            properties.milestones_reached = milestones;
+        }
+    }
+
+    const normalized = { ...event, event_name: eventName, properties, normalization_version: NORMALIZATION_VERSION };
+    if (eventName !== event.event_name || Object.keys(original).length > 0) {
+        normalized.normalized_from = { event_name: event.event_name, properties: original };
+    }
+    return normalized;
+}
+
+module.exports = { normalizeEvent, NORMALIZATION_VERSION, LEGACY_EVENT_NAMES };
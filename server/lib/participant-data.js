@@ -0,0 +1,79 @@
+/**
+ * Tracking API - Participant data requests (IRB / GDPR)
+ * Exports or deletes everything stored under a participant ID: their events
+ * (quarantined ones included) and their assignment, completion and registry
+ * records (stored under the pseudonym when pseudonymization is on), plus the
+ * pseudonym mapping. Every deletion leaves an audit record, which keeps a hash of the ID rather than the ID itself.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+function hashParticipantId(participantId) {
+    return crypto.createHash('sha256').update(participantId).digest('hex');
+}
+
+function createParticipantDataService({ store, config, pseudonyms }) {
+    // Every collection that stores documents by participant_id
+    const collectionNames = [
+        config.eventsCollection,
+        config.assignment.collection,
+        config.quota.collection,
+        config.participation.collection,
+        config.quarantineCollection
+    ];
+    const audit = store.collection(config.dataRequests.auditCollection);
+    const mappings = store.collection(config.pseudonyms.collection);
+
+    /**
+     * Every stored document for the participant, grouped by collection
+     */
+    async function exportParticipant(participantId) {
+        const storedId = pseudonyms.pseudonymize(participantId);
+        const collections = {};
+        for (const name of collectionNames) {
+            collections[name] = await store.collection(name).find({ participant_id: storedId });
+        }
+        if (pseudonyms.enabled) {
+            collections[config.pseudonyms.collection] = await mappings.find({ pseudonym: storedId });
+        }
+        return {
+            participant_id: participantId,
+            pseudonym: pseudonyms.enabled ? storedId : null,
+            exported_at: new Date().toISOString(),
+            collections
+        };
+    }
+
+    /**
+     * Delete the participant's documents and record the deletion
+     * Returns the audit record
+     */
+    async function deleteParticipant(participantId, { requestedBy = null, reason = null } = {}) {
+        const storedId = pseudonyms.pseudonymize(participantId);
+        const deletedCounts = {};
+        for (const name of collectionNames) {
+            deletedCounts[name] = await store.collection(name).deleteMany({ participant_id: storedId });
+        }
+        // The mapping goes last: if a delete fails part-way, the ID can still be resolved to retry
+        deletedCounts[config.pseudonyms.collection] = await mappings.deleteMany({ participant_id: participantId });
+
+        const record = {
+            action: 'delete_participant',
+            participant_id_sha256: hashParticipantId(participantId),
+            deleted_counts: deletedCounts,
+            deleted_total: Object.values(deletedCounts).reduce((sum, count) => sum + count, 0),
+            requested_by: requestedBy,
+            reason,
+            deleted_at: new Date().toISOString()
+        };
+        await audit.insertMany([record]);
+        console.log(`TrackingAPI: Deleted ${record.deleted_total} documents for participant ${record.participant_id_sha256.slice(0, 12)}...`);
+        return record;
+    }
+
+    return { exportParticipant, deleteParticipant };
+}
+
+module.exports = { createParticipantDataService, hashParticipantId };
@@ -0,0 +1,94 @@
+/**
+ * Tracking API - Participant registry
+ * Records every session a participant starts, across study types, so a
+ * participant cannot run the same study twice or take part in both the feed
+ * and reel studies. Each check-in is appended (allowed or not), which keeps
+ * an audit trail and works with insert-only storage adapters.
+ */
+
+'use strict';
+
+const { createSerialQueue } = require('./serial-queue');
+
+function createParticipantRegistry({ store, config, quotaService, sessionLookup }) {
+    const { allowResume, blockRepeat, blockCrossStudy } = config.participation;
+    const resumeWindowMs = config.participation.resumeWindowMinutes * 60 * 1000;
+    const checkIns = store.collection(config.participation.collection);
+
+    // Single-process lock, as in the assignment service
+    const runExclusive = createSerialQueue();
+
+    /**
+     * Whether the participant was last active in the study within the resume
+     * window: their latest event, or their latest check-in if no event arrived
+     */
+    async function isWithinResumeWindow(participantId, studyType, studyCheckIns) {
+        const latestSession = await sessionLookup.findLatest(participantId, studyType);
+        const lastActiveAt = Math.max(
+            latestSession ? Date.parse(latestSession.last_event_at) : 0,
+            ...studyCheckIns.map(checkIn => Date.parse(checkIn.checked_in_at))
+        );
+        return Date.now() - lastActiveAt <= resumeWindowMs;
+    }
+
+    /**
+     * Apply the rules to the participant's earlier (allowed) sessions
+     * Returns { allowed, status, reason }
+     */
+    async function decide(participantId, studyType, sessionId) {
+        const previous = await checkIns.find({ participant_id: participantId, allowed: true });
+        if (previous.length === 0) {
+            return { allowed: true, status: 'new', reason: null };
+        }
+
+        // A reload that continues an allowed session (see session resumption in the tracker)
+        if (allowResume && sessionId &&
+            previous.some(checkIn => checkIn.session_id === sessionId && checkIn.study_type === studyType)) {
+            return { allowed: true, status: 'resumed', reason: null };
+        }
+
+        const otherStudy = previous.find(checkIn => checkIn.study_type !== studyType);
+        if (otherStudy && blockCrossStudy) {
+            return { allowed: false, status: 'blocked', reason: 'cross_study', previous_study_type: otherStudy.study_type };
+        }
+
+        const studyCheckIns = previous.filter(checkIn => checkIn.study_type === studyType);
+        if (studyCheckIns.length > 0) {
+            // An unfinished session may be picked up again soon after (e.g. after closing the tab);
+            // coming back later is a new attempt
+            if (allowResume && !(await quotaService.hasCompleted(participantId)) &&
+                await isWithinResumeWindow(participantId, studyType, studyCheckIns)) {
+                return { allowed: true, status: 'resumed', reason: null };
+            }
+            if (blockRepeat) {
+                return { allowed: false, status: 'blocked', reason: 'repeat' };
+            }
+            return { allowed: true, status: 'repeat', reason: null };
+        }
+
+        return { allowed: true, status: 'cross_study', reason: null };
+    }
+
+    /**
+     * Register a session start and say whether the participant may take part
+     */
+    function checkIn({ participantId, studyType, sessionId }) {
+        return runExclusive(async () => {
+            const decision = await decide(participantId, studyType, sessionId);
+            await checkIns.insertMany([{
+                participant_id: participantId,
+                study_type: studyType,
+                session_id: sessionId || null,
+                allowed: decision.allowed,
+                status: decision.status,
+                reason: decision.reason,
+                checked_in_at: new Date().toISOString()
+            }]);
+            return decision;
+        });
+    }
+
+    return { checkIn };
+}
+
+module.exports = { createParticipantRegistry };
@@ -0,0 +1,104 @@
+/**
+ * Tracking API - Participant pseudonyms
+ * With PSEUDONYMIZE_PARTICIPANT_IDS on, the raw Prolific ID is replaced by a
+ * keyed hash (HMAC with PSEUDONYM_KEY, salted with the study's PSEUDONYM_SALT)
+ * before anything is stored, and every other copy of it in an event - URL
+ * parameters, page URLs, survey return properties - is replaced too. The
+ * pseudonym -> raw ID mapping goes to its own collection, which only the admin
+ * routes read (payment reconciliation).
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const PSEUDONYM_PREFIX = 'pid_';
+// Shorter IDs (e.g. pilot IDs like "T1") are only replaced where a value equals
+// the ID; replacing them inside other strings would mangle unrelated text
+const MIN_SUBSTRING_LENGTH = 6;
+
+/**
+ * Replace a string inside strings, arrays and plain objects - every occurrence,
+ * or (exact = true) only values equal to it
+ */
+function replaceDeep(value, search, replacement, exact = false) {
+    if (typeof value === 'string') {
+        if (exact) {
+            return value === search ? replacement : value;
+        }
+        return value.split(search).join(replacement);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => replaceDeep(item, search, replacement, exact));
+    }
+    if (value && typeof value === 'object') {
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = replaceDeep(value[key], search, replacement, exact);
+        });
+        return copy;
+    }
+    return value;
+}
+
+function createPseudonymizer({ store, config }) {
+    const { enabled, key, salt } = config.pseudonyms;
+    if (enabled && !key) {
+        throw new Error('PSEUDONYMIZE_PARTICIPANT_IDS needs PSEUDONYM_KEY to be set');
+    }
+    const mappings = store.collection(config.pseudonyms.collection);
+
+    /**
+     * Pseudonym for a raw ID (the raw ID itself when pseudonymization is off)
+     */
+    function pseudonymize(participantId) {
+        if (!enabled || typeof participantId !== 'string' || participantId === '') {
+            return participantId;
+        }
+        const digest = crypto.createHmac('sha256', key).update(`${salt}:${participantId}`).digest('hex');
+        return PSEUDONYM_PREFIX + digest.slice(0, 32);
+    }
+
+    /**
+     * Copy of an event with the raw ID replaced everywhere it appears
+     */
+    function pseudonymizeEvent(event) {
+        if (!enabled) {
+            return event;
+        }
+        const rawId = event.participant_id;
+        const pseudonym = pseudonymize(rawId);
+        const exact = rawId.length < MIN_SUBSTRING_LENGTH;
+        let scrubbed = replaceDeep(event, rawId, pseudonym, exact);
+        const encoded = encodeURIComponent(rawId);
+        if (encoded !== rawId) {
+            scrubbed = replaceDeep(scrubbed, encoded, pseudonym, exact);
+        }
+        return scrubbed;
+    }
+
+    /**
+     * Keep the pseudonym -> raw ID mapping (first sighting only)
+     */
+    async function recordMappings(participantIds) {
+        if (!enabled) return 0;
+        const unique = Array.from(new Set(participantIds.filter(Boolean)));
+        const now = new Date().toISOString();
+        return mappings.insertMany(unique.map(participantId => ({
+            pseudonym: pseudonymize(participantId),
+            participant_id: participantId,
+            first_seen_at: now
+        })), { uniqueKey: 'pseudonym' });
+    }
+
+    /**
+     * Mappings for payment reconciliation (admin routes only)
+     */
+    function findMappings(filter = {}) {
+        return mappings.find(filter);
+    }
+
+    return { enabled, pseudonymize, pseudonymizeEvent, recordMappings, findMappings };
+}
+
+module.exports = { createPseudonymizer, replaceDeep };
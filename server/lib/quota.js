@@ -0,0 +1,111 @@
+/**
+ * Tracking API - Per-condition quotas
+ * A participant counts towards their condition's quota once the API receives a
+ * feed_video_summary that meets the completion criteria. Completions are kept
+ * in their own collection (one per participant), so the count is a lookup
+ * rather than a scan of every event.
+ *
+ * The legacy tracker's video_session_complete is stored as a feed_video_summary
+ * (lib/normalize-event.js) and counts on the same criteria: it measures the
+ * same exposure. One for a zero-length video has completion_rate 0 and never counts.
+ */
+
+'use strict';
+
+const SUMMARY_EVENT = 'feed_video_summary';
+
+/**
+ * Parse "feed_video:150,reel_video:150" into { feed_video: 150, reel_video: 150 }
+ * Conditions without a target are never full
+ */
+function parseTargets(value) {
+    const targets = {};
+    (value || '').split(',').forEach(entry => {
+        const [condition, target] = entry.split(':').map(part => part && part.trim());
+        const parsed = parseInt(target, 10);
+        if (condition && parsed >= 0) {
+            targets[condition] = parsed;
+        }
+    });
+    return targets;
+}
+
+function createQuotaService({ store, config }) {
+    const { targets, minWatchSeconds, minCompletionRate } = config.quota;
+    const completions = store.collection(config.quota.collection);
+
+    /**
+     * Does this event show a completed session?
+     */
+    function isCompletedSummary(event) {
+        if (event.event_name !== SUMMARY_EVENT) {
+            return false;
+        }
+        const properties = event.properties || {};
+        return (properties.total_watch_time_seconds || 0) >= minWatchSeconds &&
+            (properties.completion_rate || 0) >= minCompletionRate;
+    }
+
+    /**
+     * Count the participants whose summaries meet the criteria
+     * Returns the number of new completions
+     */
+    async function recordCompletions(events) {
+        const completed = events.filter(isCompletedSummary).map(event => ({
+            participant_id: event.participant_id,
+            condition: (event.properties && event.properties.condition) || event.study_type,
+            session_id: event.session_id,
+            event_id: event.event_id || null,
+            total_watch_time_seconds: event.properties.total_watch_time_seconds,
+            completion_rate: event.properties.completion_rate,
+            completed_at: new Date().toISOString()
+        }));
+        if (completed.length === 0) {
+            return 0;
+        }
+        // First qualifying summary wins; later ones from the same participant are duplicates
+        return completions.insertMany(completed, { uniqueKey: 'participant_id' });
+    }
+
+    /**
+     * Has this participant completed a session (in any condition)?
+     */
+    async function hasCompleted(participantId) {
+        return (await completions.count({ participant_id: participantId })) > 0;
+    }
+
+    /**
+     * Quota status of one condition; participantId (optional) reports whether
+     * that participant has already completed, so they are not turned away
+     */
+    async function getStatus(condition, participantId) {
+        const target = condition in targets ? targets[condition] : null;
+        const completed = await completions.count({ condition });
+        const status = {
+            condition,
+            target,
+            completed,
+            remaining: target === null ? null : Math.max(0, target - completed),
+            is_full: target !== null && completed >= target
+        };
+        if (participantId) {
+            status.participant_completed = await hasCompleted(participantId);
+        }
+        return status;
+    }
+
+    /**
+     * Status of every condition that has a target
+     */
+    async function getAllStatus() {
+        const statuses = {};
+        for (const condition of Object.keys(targets)) {
+            statuses[condition] = await getStatus(condition);
+        }
+        return statuses;
+    }
+
+    return { isCompletedSummary, recordCompletions, hasCompleted, getStatus, getAllStatus };
+}
+
+module.exports = { createQuotaService, parseTargets };
@@ -0,0 +1,59 @@
+/**
+ * Tracking API - Rate limiting
+ * Fixed-window counters kept in memory, one per key (client IP or session ID).
+ * Counts are per process, so behind several server instances each enforces its own share.
+ */
+
+'use strict';
+
+// Expired windows are swept once this many keys are tracked
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * createRateLimiter({ windowMs, max }) - at most `max` units per key per window
+ */
+function createRateLimiter({ windowMs, max }) {
+    const windows = new Map();
+
+    function sweep(now) {
+        for (const [key, entry] of windows) {
+            if (now - entry.startedAt >= windowMs) {
+                windows.delete(key);
+            }
+        }
+    }
+
+    function current(key, now) {
+        const entry = windows.get(key);
+        if (entry && now - entry.startedAt < windowMs) {
+            return entry;
+        }
+        if (windows.size >= SWEEP_THRESHOLD) {
+            sweep(now);
+        }
+        const fresh = { startedAt: now, count: 0 };
+        windows.set(key, fresh);
+        return fresh;
+    }
+
+    /**
+     * Whether `cost` more units fit in the key's current window
+     * Returns { allowed, retryAfterSeconds } without using them up
+     */
+    function check(key, cost = 1) {
+        const now = Date.now();
+        const entry = current(key, now);
+        return {
+            allowed: entry.count + cost <= max,
+            retryAfterSeconds: Math.max(1, Math.ceil((entry.startedAt + windowMs - now) / 1000))
+        };
+    }
+
+    function consume(key, cost = 1) {
+        current(key, Date.now()).count += cost;
+    }
+
+    return { max, check, consume };
+}
+
+module.exports = { createRateLimiter };
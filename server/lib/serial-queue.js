@@ -0,0 +1,20 @@
+/**
+ * Tracking API - Serial task queue
+ * Runs async tasks one at a time, for read-then-write sequences that must not
+ * interleave (e.g. "count assignments, then insert the next one")
+ */
+
+'use strict';
+
+function createSerialQueue() {
+    let tail = Promise.resolve();
+
+    return function runExclusive(task) {
+        const result = tail.then(task);
+        // Keep the chain alive after a failure; the caller still sees the rejection
+        tail = result.catch(() => {});
+        return result;
+    };
+}
+
+module.exports = { createSerialQueue };
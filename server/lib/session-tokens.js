@@ -0,0 +1,138 @@
+/**
+ * Tracking API - Session tokens
+ * The tracker asks for a short-lived token when a session starts; the token is
+ * signed with SESSION_TOKEN_SECRET and bound to the participant and session ID,
+ * and the tracker attaches it to every event (session_token). Events without a
+ * valid token for their own participant and session are quarantined or
+ * rejected, depending on SESSION_TOKEN_MODE. Lookups about a participant
+ * (latest session, quota, check-in) need a valid token for that participant
+ * in either mode - there is nothing to quarantine, so they are refused.
+ *
+ * Tokens are handed to any page that asks, so they stop blind or replayed
+ * POSTs and events forged for someone else's session - not a client that
+ * scripts the whole token flow itself.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const TOKEN_VERSION = 'v1';
+const MODES = ['off', 'quarantine', 'reject'];
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function createSessionTokens(config) {
+    const { mode, secret, ttlMinutes, replayGraceHours } = config.sessionTokens;
+    const replayGraceMs = replayGraceHours * 60 * 60 * 1000;
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown SESSION_TOKEN_MODE "${mode}" (expected one of: ${MODES.join(', ')})`);
+    }
+    if (mode !== 'off' && !secret) {
+        throw new Error(`SESSION_TOKEN_MODE=${mode} needs SESSION_TOKEN_SECRET to be set`);
+    }
+
+    function sign(encodedPayload) {
+        return base64url(crypto.createHmac('sha256', secret).update(`${TOKEN_VERSION}.${encodedPayload}`).digest());
+    }
+
+    /**
+     * Issue a token for one participant's session
+     * Returns { token, expires_at }
+     */
+    function issue({ participantId, sessionId, studyType }) {
+        const expiresAt = Date.now() + ttlMinutes * 60 * 1000;
+        const payload = base64url(JSON.stringify({ p: participantId, s: sessionId, t: studyType, e: expiresAt }));
+        return {
+            token: `${TOKEN_VERSION}.${payload}.${sign(payload)}`,
+            expires_at: new Date(expiresAt).toISOString()
+        };
+    }
+
+    /**
+     * Events are signed when they are created, so one created while its token was
+     * valid still verifies when it arrives later - retried, recovered from the
+     * tracker's durable queue or replayed from the dead letters - within the grace window
+     */
+    function isExpired(claims, event) {
+        const now = Date.now();
+        if (now <= claims.e) {
+            return false;
+        }
+        const createdAt = Date.parse(event.timestamp);
+        return Number.isNaN(createdAt) || createdAt > claims.e || now > claims.e + replayGraceMs;
+    }
+
+    /**
+     * Decode a token and check its signature
+     * Returns { claims } or { problem } with the reason it is unusable
+     */
+    function readClaims(token) {
+        if (typeof token !== 'string' || token === '') {
+            return { problem: 'missing_token' };
+        }
+
+        const [version, payload, signature] = token.split('.');
+        if (version !== TOKEN_VERSION || !payload || !signature) {
+            return { problem: 'malformed_token' };
+        }
+
+        const expected = Buffer.from(sign(payload));
+        const given = Buffer.from(signature);
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            return { problem: 'bad_signature' };
+        }
+
+        try {
+            return { claims: JSON.parse(Buffer.from(payload, 'base64').toString('utf8')) };
+        } catch (error) {
+            return { problem: 'malformed_token' };
+        }
+    }
+
+    /**
+     * Check an event's token; returns null when valid, otherwise the reason
+     */
+    function verify(event) {
+        const { claims, problem } = readClaims(event.session_token);
+        if (problem) {
+            return problem;
+        }
+        if (isExpired(claims, event)) {
+            return 'expired_token';
+        }
+        if (claims.p !== event.participant_id) {
+            return 'participant_mismatch';
+        }
+        if (claims.s !== event.session_id) {
+            return 'session_mismatch';
+        }
+        return null;
+    }
+
+    /**
+     * Check the token sent with a lookup about a participant (their latest
+     * session, quota or participation status); any of the participant's
+     * sessions will do, but the token must not have expired
+     * Returns null when valid, otherwise the reason
+     */
+    function verifyParticipant(token, participantId) {
+        const { claims, problem } = readClaims(token);
+        if (problem) {
+            return problem;
+        }
+        if (Date.now() > claims.e) {
+            return 'expired_token';
+        }
+        if (claims.p !== participantId) {
+            return 'participant_mismatch';
+        }
+        return null;
+    }
+
+    return { mode, enabled: mode !== 'off', issue, verify, verifyParticipant };
+}
+
+module.exports = { createSessionTokens };
@@ -0,0 +1,51 @@
+/**
+ * Tracking API - Session lookup
+ * Rebuilds a participant's latest session from the stored events so a tracker
+ * that lost its local copy (cleared storage, another tab) can still resume it.
+ *
+ * Known limitation: each lookup is a find() on the events collection, and the
+ * jsonl adapter has no indexes, so it reads and parses the whole events file
+ * every time. Use the mongo adapter once that file grows large.
+ */
+
+'use strict';
+
+const SUMMARY_EVENT = 'feed_video_summary';
+
+function byTimestamp(a, b) {
+    return a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0;
+}
+
+function createSessionLookup({ store, config }) {
+    const events = store.collection(config.eventsCollection);
+
+    /**
+     * Latest session of a participant in a study type, or null
+     * Returns { session_id, last_event_at, last_sequence, resume_count, last_summary }
+     */
+    async function findLatest(participantId, studyType) {
+        const participantEvents = await events.find({ participant_id: participantId, study_type: studyType });
+        if (participantEvents.length === 0) {
+            return null;
+        }
+
+        participantEvents.sort(byTimestamp);
+        const sessionId = participantEvents[participantEvents.length - 1].session_id;
+        const sessionEvents = participantEvents.filter(event => event.session_id === sessionId);
+        const summaries = sessionEvents.filter(event => event.event_name === SUMMARY_EVENT);
+
+        return {
+            session_id: sessionId,
+            last_event_at: sessionEvents[sessionEvents.length - 1].timestamp,
+            last_sequence: sessionEvents.reduce((max, event) => Math.max(max, event.sequence || 0), 0),
+            resume_count: sessionEvents.reduce((max, event) =>
+                Math.max(max, (event.properties && event.properties.resume_count) || 0), 0),
+            // The summary is cumulative, so the latest one carries the session's exposure so far
+            last_summary: summaries.length > 0 ? summaries[summaries.length - 1].properties : null
+        };
+    }
+
+    return { findLatest };
+}
+
+module.exports = { createSessionLookup };
@@ -0,0 +1,63 @@
+/**
+ * Tracking API - Static file serving for local runs
+ * Lets http://localhost:3000/ serve the study page next to the API
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./http');
+
+// Only the study page and its assets are public; never the server, data or git files
+const PUBLIC_PATHS = ['index.html', 'js/', 'assets/', 'config/'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml'
+};
+
+function createStaticHandler(rootDir) {
+    const root = path.resolve(rootDir);
+
+    return function serveStatic(req, res, pathname) {
+        let relative = 'index.html';
+        if (pathname !== '/') {
+            try {
+                relative = decodeURIComponent(pathname).replace(/^\/+/, '');
+            } catch (error) {
+                throw new HttpError(400, 'Malformed URL path');
+            }
+        }
+        const filePath = path.resolve(root, relative);
+        const publicPath = path.relative(root, filePath).split(path.sep).join('/');
+
+        if (!PUBLIC_PATHS.some(prefix => publicPath === prefix || (prefix.endsWith('/') && publicPath.startsWith(prefix)))) {
+            return false;
+        }
+
+        let stat;
+        try {
+            stat = fs.statSync(filePath);
+        } catch (error) {
+            return false;
+        }
+        if (!stat.isFile()) {
+            return false;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Content-Length': stat.size
+        });
+        fs.createReadStream(filePath).pipe(res);
+        return true;
+    };
+}
+
+module.exports = { createStaticHandler };
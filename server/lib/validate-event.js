@@ -0,0 +1,64 @@
+/**
+ * Tracking API - Event envelope validation
+ * Mirrors the envelope built by sendEvent() in js/mongo-tracker-base.js
+ */
+
+'use strict';
+
+const REQUIRED_STRING_FIELDS = ['event_name', 'participant_id', 'study_type', 'session_id', 'page_url'];
+const MAX_URL_PARAMS = 20;
+const MAX_URL_PARAM_LENGTH = 256;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a single event envelope
+ * Returns a list of error messages (empty when the event is valid)
+ */
+function validateEvent(event) {
+    if (!isPlainObject(event)) {
+        return ['event must be an object'];
+    }
+
+    const errors = [];
+
+    REQUIRED_STRING_FIELDS.forEach(field => {
+        if (typeof event[field] !== 'string' || event[field].trim() === '') {
+            errors.push(`${field} must be a non-empty string`);
+        }
+    });
+
+    if (!isPlainObject(event.properties)) {
+        errors.push('properties must be an object');
+    }
+
+    // url_params: Prolific/survey context captured from the page URL (optional)
+    if (event.url_params !== undefined) {
+        if (!isPlainObject(event.url_params)) {
+            errors.push('url_params must be an object');
+        } else if (Object.keys(event.url_params).length > MAX_URL_PARAMS) {
+            errors.push(`url_params must have at most ${MAX_URL_PARAMS} entries`);
+        } else if (Object.values(event.url_params).some(value => typeof value !== 'string' || value.length > MAX_URL_PARAM_LENGTH)) {
+            errors.push(`url_params values must be strings of at most ${MAX_URL_PARAM_LENGTH} characters`);
+        }
+    }
+
+    // event_id and sequence are optional so events from pages cached before they existed are still accepted
+    if (event.event_id !== undefined && (typeof event.event_id !== 'string' || event.event_id.trim() === '')) {
+        errors.push('event_id must be a non-empty string');
+    }
+
+    if (event.sequence !== undefined && !(Number.isInteger(event.sequence) && event.sequence > 0)) {
+        errors.push('sequence must be a positive integer');
+    }
+
+    if (typeof event.timestamp !== 'string' || Number.isNaN(Date.parse(event.timestamp))) {
+        errors.push('timestamp must be an ISO 8601 date string');
+    }
+
+    return errors;
+}
+
+module.exports = { validateEvent };
@@ -0,0 +1,80 @@
+/**
+ * Tracking API - /api/admin (token-protected, see lib/admin-auth.js)
+ */
+
+'use strict';
+
+const { HttpError, readJsonBody, sendJson } = require('../lib/http');
+const { requireAdmin } = require('../lib/admin-auth');
+
+function createAdminRoutes({ store, participantData, pseudonyms, schemas, config }) {
+    /**
+     * GET /api/admin/participants/export?participant_id=... - everything stored for the participant
+     */
+    async function exportParticipant(req, res) {
+        requireAdmin(req, config);
+        const participantId = new URL(req.url, 'http://localhost').searchParams.get('participant_id');
+        if (!participantId || !participantId.trim()) {
+            throw new HttpError(400, 'participant_id is required');
+        }
+
+        const data = await participantData.exportParticipant(participantId.trim());
+        sendJson(res, 200, { success: true, ...data });
+    }
+
+    /**
+     * POST /api/admin/participants/delete - { participant_id, reason, requested_by }
+     */
+    async function deleteParticipant(req, res) {
+        requireAdmin(req, config);
+        const body = await readJsonBody(req, config.maxBodyBytes) || {};
+        if (typeof body.participant_id !== 'string' || !body.participant_id.trim()) {
+            throw new HttpError(400, 'participant_id must be a non-empty string');
+        }
+
+        const record = await participantData.deleteParticipant(body.participant_id.trim(), {
+            requestedBy: typeof body.requested_by === 'string' ? body.requested_by : null,
+            reason: typeof body.reason === 'string' ? body.reason : null
+        });
+        sendJson(res, 200, { success: true, audit: record });
+    }
+
+    /**
+     * GET /api/admin/pseudonyms[?pseudonym=...] - pseudonym -> Prolific ID
+     * mappings, for payment reconciliation only
+     */
+    async function listPseudonyms(req, res) {
+        requireAdmin(req, config);
+        if (!pseudonyms.enabled) {
+            throw new HttpError(409, 'Participant IDs are not pseudonymized (PSEUDONYMIZE_PARTICIPANT_IDS is off)');
+        }
+        const pseudonym = new URL(req.url, 'http://localhost').searchParams.get('pseudonym');
+        const mappings = await pseudonyms.findMappings(pseudonym ? { pseudonym } : {});
+        sendJson(res, 200, { success: true, count: mappings.length, mappings });
+    }
+
+    /**
+     * GET /api/admin/quarantine - quarantined events counted by reason and event name
+     */
+    async function quarantineSummary(req, res) {
+        requireAdmin(req, config);
+        const quarantined = await store.collection(config.quarantineCollection).find({});
+        const byReason = {};
+        const byEventName = {};
+        quarantined.forEach(event => {
+            byReason[event.quarantine_reason] = (byReason[event.quarantine_reason] || 0) + 1;
+            byEventName[event.event_name] = (byEventName[event.event_name] || 0) + 1;
+        });
+        sendJson(res, 200, {
+            success: true,
+            schema_version: schemas.version,
+            total: quarantined.length,
+            by_reason: byReason,
+            by_event_name: byEventName
+        });
+    }
+
+    return { exportParticipant, deleteParticipant, listPseudonyms, quarantineSummary };
+}
+
+module.exports = { createAdminRoutes };
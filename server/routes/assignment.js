@@ -0,0 +1,43 @@
+/**
+ * Tracking API - /api/assignment
+ */
+
+'use strict';
+
+const { HttpError, readJsonBody, sendJson } = require('../lib/http');
+
+function createAssignmentRoutes({ assignmentService, pseudonyms, config }) {
+    /**
+     * POST /api/assignment - { participant_id } -> the participant's study arm
+     */
+    async function assign(req, res) {
+        const body = await readJsonBody(req, config.maxBodyBytes);
+        const participantId = body && body.participant_id;
+        if (typeof participantId !== 'string' || participantId.trim() === '') {
+            throw new HttpError(400, 'participant_id must be a non-empty string');
+        }
+
+        await pseudonyms.recordMappings([participantId.trim()]);
+        const assignment = await assignmentService.assign(pseudonyms.pseudonymize(participantId.trim()));
+        sendJson(res, 200, {
+            success: true,
+            participant_id: assignment.participant_id,
+            condition: assignment.condition,
+            assigned_at: assignment.assigned_at,
+            is_new: assignment.is_new
+        });
+    }
+
+    /**
+     * GET /api/assignment/counts - participants per arm
+     */
+    async function counts(req, res) {
+        const perArm = await assignmentService.getCounts();
+        const total = Object.values(perArm).reduce((sum, count) => sum + count, 0);
+        sendJson(res, 200, { success: true, counts: perArm, total });
+    }
+
+    return { assign, counts };
+}
+
+module.exports = { createAssignmentRoutes };
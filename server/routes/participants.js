@@ -0,0 +1,60 @@
+/**
+ * Tracking API - /api/participants
+ */
+
+'use strict';
+
+const { HttpError, readJsonBody, sendJson } = require('../lib/http');
+
+function createParticipantRoutes({ participantRegistry, pseudonyms, sessionTokens, config }) {
+    /**
+     * POST /api/participants/check-in - { participant_id, study_type, session_id, session_token }
+     * -> whether the participant may take part in this study
+     * With SESSION_TOKEN_MODE set, session_token must be a valid token for the participant
+     */
+    async function checkIn(req, res) {
+        const body = await readJsonBody(req, config.maxBodyBytes) || {};
+        const errors = ['participant_id', 'study_type']
+            .filter(field => typeof body[field] !== 'string' || body[field].trim() === '')
+            .map(field => `${field} must be a non-empty string`);
+        if (errors.length > 0) {
+            throw new HttpError(400, 'Invalid check-in', errors);
+        }
+        const tokenProblem = sessionTokens.enabled ?
+            sessionTokens.verifyParticipant(body.session_token, body.participant_id.trim()) : null;
+        if (tokenProblem) {
+            throw new HttpError(401, 'Invalid session token', [tokenProblem]);
+        }
+
+        await pseudonyms.recordMappings([body.participant_id.trim()]);
+        const decision = await participantRegistry.checkIn({
+            participantId: pseudonyms.pseudonymize(body.participant_id.trim()),
+            studyType: body.study_type.trim(),
+            sessionId: typeof body.session_id === 'string' ? body.session_id : null
+        });
+        sendJson(res, 200, { success: true, participant_id: body.participant_id.trim(), ...decision });
+    }
+
+    /**
+     * POST /api/participants/pseudonym - { participant_id } -> the ID analytics
+     * may use: the pseudonym when pseudonymization is on, otherwise the ID itself
+     */
+    async function pseudonym(req, res) {
+        const body = await readJsonBody(req, config.maxBodyBytes) || {};
+        if (typeof body.participant_id !== 'string' || body.participant_id.trim() === '') {
+            throw new HttpError(400, 'participant_id must be a non-empty string');
+        }
+
+        const participantId = body.participant_id.trim();
+        await pseudonyms.recordMappings([participantId]);
+        sendJson(res, 200, {
+            success: true,
+            pseudonymized: pseudonyms.enabled,
+            analytics_id: pseudonyms.pseudonymize(participantId)
+        });
+    }
+
+    return { checkIn, pseudonym };
+}
+
+module.exports = { createParticipantRoutes };
@@ -0,0 +1,37 @@
+/**
+ * Tracking API - /api/quota
+ */
+
+'use strict';
+
+const { HttpError, sendJson } = require('../lib/http');
+
+function createQuotaRoutes({ quotaService, pseudonyms, sessionTokens }) {
+    /**
+     * GET /api/quota?condition=feed_video&participant_id=...&session_token=... - one condition
+     * GET /api/quota - every condition with a target
+     * With SESSION_TOKEN_MODE set, a participant_id needs a valid session_token for it
+     */
+    async function status(req, res) {
+        const { searchParams } = new URL(req.url, 'http://localhost');
+        const condition = searchParams.get('condition');
+
+        if (!condition) {
+            sendJson(res, 200, { success: true, quotas: await quotaService.getAllStatus() });
+            return;
+        }
+
+        const participantId = searchParams.get('participant_id');
+        const tokenProblem = participantId && sessionTokens.enabled ?
+            sessionTokens.verifyParticipant(searchParams.get('session_token'), participantId) : null;
+        if (tokenProblem) {
+            throw new HttpError(401, 'Invalid session token', [tokenProblem]);
+        }
+        const quota = await quotaService.getStatus(condition, participantId ? pseudonyms.pseudonymize(participantId) : null);
+        sendJson(res, 200, { success: true, ...quota });
+    }
+
+    return { status };
+}
+
+module.exports = { createQuotaRoutes };
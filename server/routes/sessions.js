@@ -0,0 +1,62 @@
+/**
+ * Tracking API - /api/sessions
+ */
+
+'use strict';
+
+const { HttpError, readJsonBody, sendJson } = require('../lib/http');
+
+function createSessionRoutes({ sessionLookup, pseudonyms, sessionTokens, config }) {
+    /**
+     * GET /api/sessions/latest?participant_id=...&study_type=...&session_token=...
+     * - the session a reloaded page may resume (session is null when there is none)
+     * With SESSION_TOKEN_MODE set, session_token must be a valid token for the participant
+     */
+    async function latest(req, res) {
+        const { searchParams } = new URL(req.url, 'http://localhost');
+        const participantId = searchParams.get('participant_id');
+        const studyType = searchParams.get('study_type');
+        if (!participantId || !studyType) {
+            throw new HttpError(400, 'participant_id and study_type are required');
+        }
+        const tokenProblem = sessionTokens.enabled ?
+            sessionTokens.verifyParticipant(searchParams.get('session_token'), participantId) : null;
+        if (tokenProblem) {
+            throw new HttpError(401, 'Invalid session token', [tokenProblem]);
+        }
+
+        const session = await sessionLookup.findLatest(pseudonyms.pseudonymize(participantId), studyType);
+        sendJson(res, 200, { success: true, session });
+    }
+
+    /**
+     * POST /api/sessions/token - { participant_id, session_id, study_type }
+     * -> the token the tracker attaches to the session's events
+     * (token is null when SESSION_TOKEN_MODE is off)
+     */
+    async function token(req, res) {
+        const body = await readJsonBody(req, config.maxBodyBytes) || {};
+        const errors = ['participant_id', 'session_id', 'study_type']
+            .filter(field => typeof body[field] !== 'string' || body[field] === '')
+            .map(field => `${field} must be a non-empty string`);
+        if (errors.length > 0) {
+            throw new HttpError(400, 'Invalid token request', errors);
+        }
+
+        if (!sessionTokens.enabled) {
+            sendJson(res, 200, { success: true, token: null, expires_at: null, enforced: false });
+            return;
+        }
+
+        const issued = sessionTokens.issue({
+            participantId: body.participant_id,
+            sessionId: body.session_id,
+            studyType: body.study_type
+        });
+        sendJson(res, 200, { success: true, ...issued, enforced: true });
+    }
+
+    return { latest, token };
+}
+
+module.exports = { createSessionRoutes };
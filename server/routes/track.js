@@ -0,0 +1,271 @@
+/**
+ * Tracking API - /api/track and /api/track/batch
+ * Events are de-duplicated on event_id: the same event can arrive through
+ * the immediate POST, the batch timer, a retried batch and sendBeacon.
+ * When SESSION_TOKEN_MODE is on, events must carry a valid session_token
+ * (lib/session-tokens.js); the others are quarantined or rejected. Events
+ * that do not match the schema registry (lib/event-schemas.js) are quarantined too;
+ * the rest are stored in the canonical video vocabulary (lib/normalize-event.js).
+ * A few events are sent before the participant has consented (consent_declined);
+ * they carry participant_id "anonymous" and no session token.
+ * Clients and sessions that send too much get a 429 with retry_after_seconds,
+ * oversized batches and properties a 413 (see config.limits).
+ */
+
+'use strict';
+
+const { HttpError, readJsonBody, sendJson } = require('../lib/http');
+const { validateEvent } = require('../lib/validate-event');
+const { createRateLimiter } = require('../lib/rate-limit');
+const { normalizeEvent } = require('../lib/normalize-event');
+
+/**
+ * The client's IP address (X-Forwarded-For is only trusted behind a proxy)
+ */
+function getClientIp(req, trustProxy) {
+    const forwarded = trustProxy && req.headers['x-forwarded-for'];
+    if (forwarded) {
+        return forwarded.split(',')[0].trim();
+    }
+    return req.socket.remoteAddress || 'unknown';
+}
+
+// Events the tracker sends without the participant's identity (MongoTracker.trackAnonymous)
+const ANONYMOUS_PARTICIPANT_ID = 'anonymous';
+const ANONYMOUS_EVENTS = ['consent_declined'];
+
+function isAnonymousEvent(event) {
+    return event.participant_id === ANONYMOUS_PARTICIPANT_ID && ANONYMOUS_EVENTS.includes(event.event_name);
+}
+
+function getPropertiesBytes(event) {
+    return Buffer.byteLength(JSON.stringify(event.properties));
+}
+
+/**
+ * Add server-side metadata to a validated event
+ */
+function toStoredEvent(event, req) {
+    // The token has done its job once checked; it is not kept with the data
+    const { session_token: sessionToken, ...fields } = event;
+    return {
+        ...fields,
+        received_at: new Date().toISOString(),
+        user_agent: req.headers['user-agent'] || null
+    };
+}
+
+function createTrackRoutes({ store, config, quotaService, pseudonyms, sessionTokens, schemas }) {
+    const events = store.collection(config.eventsCollection);
+    const quarantine = store.collection(config.quarantineCollection);
+    // Stored events record which registry version they were checked against
+    const schemaFields = schemas.enabled ? { schema_version: schemas.version } : {};
+    const limits = config.limits;
+    const windowMs = limits.windowSeconds * 1000;
+    const ipLimiter = createRateLimiter({ windowMs, max: limits.eventsPerIp });
+    const sessionLimiter = createRateLimiter({ windowMs, max: limits.eventsPerSession });
+
+    /**
+     * Count the request's events against its IP and each session in it;
+     * over either limit nothing is counted and the client is told when to retry.
+     * Invalid events count too, so a broken client cannot flood the API with them.
+     */
+    function enforceRateLimits(req, received) {
+        const charges = [{ limiter: ipLimiter, key: getClientIp(req, limits.trustProxy), cost: received.length, scope: 'ip' }];
+        const perSession = new Map();
+        received.forEach(event => {
+            const sessionId = event && typeof event.session_id === 'string' ? event.session_id : null;
+            if (sessionId) {
+                perSession.set(sessionId, (perSession.get(sessionId) || 0) + 1);
+            }
+        });
+        perSession.forEach((cost, sessionId) => {
+            charges.push({ limiter: sessionLimiter, key: sessionId, cost, scope: 'session' });
+        });
+
+        for (const charge of charges) {
+            const { allowed, retryAfterSeconds } = charge.limiter.check(charge.key, charge.cost);
+            if (!allowed) {
+                throw new HttpError(429, 'Too many events', {
+                    limit: charge.scope,
+                    max_events: charge.limiter.max,
+                    window_seconds: limits.windowSeconds,
+                    retry_after_seconds: retryAfterSeconds
+                }, { 'Retry-After': String(retryAfterSeconds) });
+            }
+        }
+        charges.forEach(charge => charge.limiter.consume(charge.key, charge.cost));
+    }
+
+    /**
+     * Why an event's session token is not acceptable, or null (always null when
+     * tokens are off; anonymous events are sent before a token can be issued)
+     */
+    function checkToken(event) {
+        return sessionTokens.enabled && !isAnonymousEvent(event) ? sessionTokens.verify(event) : null;
+    }
+
+    /**
+     * Pseudonymize an event; "anonymous" is not a participant ID, so it is kept
+     */
+    function pseudonymizeEvent(event) {
+        return isAnonymousEvent(event) ? event : pseudonyms.pseudonymizeEvent(event);
+    }
+
+    function recordMappings(received) {
+        return pseudonyms.recordMappings(received.filter(event => !isAnonymousEvent(event)).map(event => event.participant_id));
+    }
+
+    /**
+     * Why an event belongs in quarantine - a bad session token, or a name or
+     * properties the schema registry does not accept - as fields for the
+     * quarantined document; null when it can be stored with the study data
+     */
+    function getQuarantineFields(event, tokenProblem) {
+        if (tokenProblem) {
+            return { quarantine_reason: tokenProblem };
+        }
+        const mismatch = schemas.check(event);
+        return mismatch ? { quarantine_reason: mismatch.reason, schema_errors: mismatch.errors } : null;
+    }
+
+    /**
+     * The stored form of an accepted event: canonical vocabulary, pseudonymized,
+     * with server metadata. The schema is checked before this, against the event as sent.
+     */
+    function toAcceptedEvent(event, req) {
+        return { ...toStoredEvent(pseudonymizeEvent(normalizeEvent(event)), req), ...schemaFields };
+    }
+
+    /**
+     * Store events that failed the token or schema check apart from the study
+     * data, so they can be reviewed (and recovered) without skewing analyses
+     */
+    async function quarantineEvents(stored) {
+        if (stored.length === 0) return 0;
+        return quarantine.insertMany(stored, { uniqueKey: 'event_id' });
+    }
+
+    /**
+     * Update the quota counters; the events are already stored, so a failure
+     * here is logged rather than turned into an error the client would retry
+     */
+    async function recordCompletions(stored) {
+        if (!quotaService) return;
+        try {
+            await quotaService.recordCompletions(stored);
+        } catch (error) {
+            console.error('TrackingAPI: Could not record quota completions:', error);
+        }
+    }
+
+    /**
+     * POST /api/track - single event from sendEvent()
+     */
+    async function track(req, res) {
+        const event = await readJsonBody(req, config.maxBodyBytes);
+        enforceRateLimits(req, [event]);
+        const errors = validateEvent(event);
+        if (errors.length > 0) {
+            throw new HttpError(400, 'Invalid event', errors);
+        }
+        const propertiesBytes = getPropertiesBytes(event);
+        if (propertiesBytes > limits.maxPropertiesBytes) {
+            throw new HttpError(413, 'Event properties too large', {
+                properties_bytes: propertiesBytes,
+                max_properties_bytes: limits.maxPropertiesBytes
+            });
+        }
+
+        // Tokens are bound to the raw participant ID, so they are checked before pseudonymizing
+        const tokenProblem = checkToken(event);
+        if (tokenProblem && sessionTokens.mode === 'reject') {
+            throw new HttpError(401, 'Invalid session token', [tokenProblem]);
+        }
+
+        // The mapping is written first so no pseudonymized event is ever stored without it
+        await recordMappings([event]);
+        const quarantineFields = getQuarantineFields(event, tokenProblem);
+        if (quarantineFields) {
+            await quarantineEvents([{ ...toStoredEvent(pseudonymizeEvent(event), req), ...quarantineFields }]);
+            sendJson(res, 200, {
+                success: true,
+                inserted_count: 0,
+                duplicate: false,
+                quarantined: true,
+                quarantine_reason: quarantineFields.quarantine_reason
+            });
+            return;
+        }
+        const storedEvent = toAcceptedEvent(event, req);
+        const insertedCount = await events.insertMany([storedEvent], { uniqueKey: 'event_id' });
+        await recordCompletions([storedEvent]);
+        // A duplicate is still a success: the event is stored, so the client can drop it from its queue
+        sendJson(res, 200, { success: true, inserted_count: insertedCount, duplicate: insertedCount === 0 });
+    }
+
+    /**
+     * POST /api/track/batch - queued events from sendBatch() and sendBeacon
+     * Valid events are stored even if others in the batch are rejected,
+     * so one bad event cannot keep the whole queue from draining
+     */
+    async function trackBatch(req, res) {
+        const body = await readJsonBody(req, config.maxBodyBytes);
+        if (!body || !Array.isArray(body.events)) {
+            throw new HttpError(400, 'Request body must be { events: [...] }');
+        }
+        if (body.events.length > limits.maxBatchEvents) {
+            throw new HttpError(413, 'Too many events in one batch', {
+                event_count: body.events.length,
+                max_batch_events: limits.maxBatchEvents
+            });
+        }
+        enforceRateLimits(req, body.events);
+
+        const valid = [];
+        const suspect = [];
+        const rejected = [];
+        body.events.forEach((event, index) => {
+            const errors = validateEvent(event);
+            if (errors.length === 0 && getPropertiesBytes(event) > limits.maxPropertiesBytes) {
+                errors.push(`properties must be at most ${limits.maxPropertiesBytes} bytes of JSON`);
+            }
+            if (errors.length > 0) {
+                rejected.push({ index, errors });
+                return;
+            }
+            const tokenProblem = checkToken(event);
+            if (tokenProblem && sessionTokens.mode === 'reject') {
+                rejected.push({ index, errors: [`session token: ${tokenProblem}`] });
+                return;
+            }
+            const quarantineFields = getQuarantineFields(event, tokenProblem);
+            if (quarantineFields) {
+                suspect.push({ event, quarantineFields });
+            } else {
+                valid.push(event);
+            }
+        });
+
+        await recordMappings(valid.concat(suspect.map(item => item.event)));
+        const accepted = valid.map(event => toAcceptedEvent(event, req));
+        const insertedCount = await events.insertMany(accepted, { uniqueKey: 'event_id' });
+        await recordCompletions(accepted);
+        await quarantineEvents(suspect.map(({ event, quarantineFields }) => ({
+            ...toStoredEvent(pseudonymizeEvent(event), req),
+            ...quarantineFields
+        })));
+        sendJson(res, 200, {
+            success: true,
+            inserted_count: insertedCount,
+            duplicate_count: accepted.length - insertedCount,
+            quarantined_count: suspect.length,
+            rejected_count: rejected.length,
+            rejected
+        });
+    }
+
+    return { track, trackBatch };
+}
+
+module.exports = { createTrackRoutes };
@@ -0,0 +1,60 @@
+/**
+ * Tracking API - Filter matching for the non-Mongo adapters
+ * Supports the equality filters the API uses, e.g. { participant_id, session_id }
+ */
+
+'use strict';
+
+/**
+ * Check whether a document matches an equality filter
+ * Keys whose value is undefined are ignored so optional query params can be passed straight through
+ */
+function matchesFilter(doc, filter = {}) {
+    return Object.keys(filter).every(key => filter[key] === undefined || doc[key] === filter[key]);
+}
+
+/**
+ * Drop undefined keys so the Mongo adapter sees the same filter as the others
+ */
+function compactFilter(filter = {}) {
+    const compact = {};
+    Object.keys(filter).forEach(key => {
+        if (filter[key] !== undefined) {
+            compact[key] = filter[key];
+        }
+    });
+    return compact;
+}
+
+/**
+ * Refuse filters that would match every document (e.g. { participant_id: undefined }),
+ * so a missing parameter can never turn a targeted delete into a wipe
+ */
+function assertTargetedFilter(filter = {}) {
+    if (Object.keys(compactFilter(filter)).length === 0) {
+        throw new Error('deleteMany needs a filter with at least one defined value');
+    }
+}
+
+/**
+ * Split docs into those whose uniqueKey value is new and those already seen
+ * Docs without a value for the key are always kept. seenKeys is updated in place.
+ */
+function partitionUnique(docs, uniqueKey, seenKeys) {
+    const fresh = [];
+    let duplicates = 0;
+    docs.forEach(doc => {
+        const value = doc[uniqueKey];
+        if (value === undefined || value === null) {
+            fresh.push(doc);
+        } else if (seenKeys.has(value)) {
+            duplicates++;
+        } else {
+            seenKeys.add(value);
+            fresh.push(doc);
+        }
+    });
+    return { fresh, duplicates };
+}
+
+module.exports = { matchesFilter, compactFilter, assertTargetedFilter, partitionUnique };
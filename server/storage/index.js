@@ -0,0 +1,30 @@
+/**
+ * Tracking API - Storage adapter selection
+ * Every adapter exposes collection(name) with insertMany, find, count and deleteMany,
+ * so routes never need to know where the data lives
+ */
+
+'use strict';
+
+const { createMemoryAdapter } = require('./memory-adapter');
+const { createJsonlAdapter } = require('./jsonl-adapter');
+const { createMongoAdapter } = require('./mongo-adapter');
+
+const ADAPTERS = {
+    memory: createMemoryAdapter,
+    jsonl: createJsonlAdapter,
+    mongo: createMongoAdapter
+};
+
+/**
+ * Create the storage adapter named in the configuration
+ */
+function createStore(options) {
+    const factory = ADAPTERS[options.adapter];
+    if (!factory) {
+        throw new Error(`Unknown storage adapter "${options.adapter}" (expected one of: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    return factory(options);
+}
+
+module.exports = { createStore };
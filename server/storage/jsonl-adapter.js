@@ -0,0 +1,164 @@
+/**
+ * Tracking API - JSON Lines storage adapter
+ * Appends one document per line to <dataDir>/<collection>.jsonl
+ * Deletes rewrite the file, so writes to a collection are serialized
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { matchesFilter, assertTargetedFilter, partitionUnique } = require('./filter');
+const { createSerialQueue } = require('../lib/serial-queue');
+
+function createJsonlAdapter({ dataDir }) {
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    /**
+     * Read every document in a collection file (missing file = empty collection)
+     */
+    async function readAll(filePath) {
+        let raw;
+        try {
+            raw = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const docs = [];
+        raw.split('\n').forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+            try {
+                docs.push(JSON.parse(line));
+            } catch (error) {
+                // A crash mid-append can leave a partial last line; skip it rather than fail every read
+                console.warn(`TrackingAPI: Skipping unreadable line ${index + 1} in ${filePath}`);
+            }
+        });
+        return docs;
+    }
+
+    // Known values per "<collection>:<key>", loaded from disk once and kept current on insert
+    // (a failed load is forgotten, so the next insert reads the file again)
+    const uniqueIndexes = new Map();
+
+    function getUniqueIndex(filePath, name, uniqueKey) {
+        const indexName = `${name}:${uniqueKey}`;
+        if (!uniqueIndexes.has(indexName)) {
+            uniqueIndexes.set(indexName, readAll(filePath).then(docs =>
+                new Set(docs.map(doc => doc[uniqueKey]).filter(value => value !== undefined && value !== null))
+            ).catch(error => {
+                uniqueIndexes.delete(indexName);
+                throw error;
+            }));
+        }
+        return uniqueIndexes.get(indexName);
+    }
+
+    // One write queue per collection file: an append must not land between a
+    // delete's read and its rename, or it would be lost
+    const writeQueues = new Map();
+
+    function getWriteQueue(name) {
+        if (!writeQueues.has(name)) {
+            writeQueues.set(name, createSerialQueue());
+        }
+        return writeQueues.get(name);
+    }
+
+    /**
+     * Drop removed docs' values from every cached unique index of the collection
+     */
+    async function forgetUniqueValues(name, removed) {
+        for (const [indexName, indexPromise] of uniqueIndexes) {
+            const [collectionName, uniqueKey] = indexName.split(':');
+            if (collectionName !== name) continue;
+            const seenKeys = await indexPromise;
+            removed.forEach(doc => seenKeys.delete(doc[uniqueKey]));
+        }
+    }
+
+    return {
+        type: 'jsonl',
+        dataDir,
+
+        collection(name) {
+            const filePath = path.join(dataDir, `${name}.jsonl`);
+            const runExclusive = getWriteQueue(name);
+
+            async function append(docs, uniqueKey) {
+                let toInsert = docs;
+                let seenKeys = null;
+                if (uniqueKey) {
+                    seenKeys = await getUniqueIndex(filePath, name, uniqueKey);
+                    toInsert = partitionUnique(docs, uniqueKey, seenKeys).fresh;
+                }
+                if (toInsert.length === 0) {
+                    return 0;
+                }
+                const lines = toInsert.map(doc => JSON.stringify(doc)).join('\n') + '\n';
+                try {
+                    await fs.promises.appendFile(filePath, lines, 'utf8');
+                } catch (error) {
+                    // Forget the keys so a retry of the same events is not mistaken for a duplicate
+                    if (seenKeys) {
+                        toInsert.forEach(doc => seenKeys.delete(doc[uniqueKey]));
+                    }
+                    throw error;
+                }
+                return toInsert.length;
+            }
+
+            async function rewriteWithout(filter) {
+                const docs = await readAll(filePath);
+                const removed = docs.filter(doc => matchesFilter(doc, filter));
+                if (removed.length === 0) {
+                    return 0;
+                }
+                const kept = docs.filter(doc => !matchesFilter(doc, filter));
+                const tempPath = `${filePath}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tempPath, kept.map(doc => JSON.stringify(doc) + '\n').join(''), 'utf8');
+                await fs.promises.rename(tempPath, filePath);
+                await forgetUniqueValues(name, removed);
+                return removed.length;
+            }
+
+            return {
+                /**
+                 * Append docs, returning how many were stored
+                 * With uniqueKey, docs whose key value is already stored are skipped
+                 */
+                insertMany(docs, { uniqueKey } = {}) {
+                    return runExclusive(() => append(docs, uniqueKey));
+                },
+
+                async find(filter = {}, { limit } = {}) {
+                    const matches = (await readAll(filePath)).filter(doc => matchesFilter(doc, filter));
+                    return limit ? matches.slice(0, limit) : matches;
+                },
+
+                async count(filter = {}) {
+                    return (await readAll(filePath)).filter(doc => matchesFilter(doc, filter)).length;
+                },
+
+                /**
+                 * Remove matching docs, returning how many were removed
+                 * The file is rewritten to a temporary file and renamed over the original
+                 */
+                async deleteMany(filter) {
+                    assertTargetedFilter(filter);
+                    return runExclusive(() => rewriteWithout(filter));
+                }
+            };
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = { createJsonlAdapter };
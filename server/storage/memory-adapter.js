@@ -0,0 +1,66 @@
+/**
+ * Tracking API - In-memory storage adapter
+ * For tests and quick local runs; everything is lost when the process exits
+ */
+
+'use strict';
+
+const { matchesFilter, assertTargetedFilter, partitionUnique } = require('./filter');
+
+function createMemoryAdapter() {
+    const collections = new Map();
+
+    function getDocs(name) {
+        if (!collections.has(name)) {
+            collections.set(name, []);
+        }
+        return collections.get(name);
+    }
+
+    return {
+        type: 'memory',
+
+        collection(name) {
+            return {
+                /**
+                 * Insert docs, returning how many were stored
+                 * With uniqueKey, docs whose key value is already stored are skipped
+                 */
+                async insertMany(docs, { uniqueKey } = {}) {
+                    const stored = getDocs(name);
+                    let toInsert = docs;
+                    if (uniqueKey) {
+                        const seenKeys = new Set(stored.map(doc => doc[uniqueKey]).filter(value => value !== undefined && value !== null));
+                        toInsert = partitionUnique(docs, uniqueKey, seenKeys).fresh;
+                    }
+                    toInsert.forEach(doc => stored.push({ ...doc }));
+                    return toInsert.length;
+                },
+
+                async find(filter = {}, { limit } = {}) {
+                    const matches = getDocs(name).filter(doc => matchesFilter(doc, filter));
+                    return (limit ? matches.slice(0, limit) : matches).map(doc => ({ ...doc }));
+                },
+
+                async count(filter = {}) {
+                    return getDocs(name).filter(doc => matchesFilter(doc, filter)).length;
+                },
+
+                /**
+                 * Remove matching docs, returning how many were removed
+                 */
+                async deleteMany(filter) {
+                    assertTargetedFilter(filter);
+                    const remaining = getDocs(name).filter(doc => !matchesFilter(doc, filter));
+                    const deletedCount = getDocs(name).length - remaining.length;
+                    collections.set(name, remaining);
+                    return deletedCount;
+                }
+            };
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = { createMemoryAdapter };
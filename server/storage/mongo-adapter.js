@@ -0,0 +1,119 @@
+/**
+ * Tracking API - MongoDB storage adapter
+ * Requires the official driver: npm install mongodb
+ */
+
+'use strict';
+
+const { compactFilter, assertTargetedFilter } = require('./filter');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+function loadDriver() {
+    try {
+        return require('mongodb');
+    } catch (error) {
+        throw new Error('The mongo storage adapter needs the MongoDB driver. Run "npm install mongodb" first.');
+    }
+}
+
+function createMongoAdapter({ mongoUri, mongoDb }) {
+    if (!mongoUri) {
+        throw new Error('The mongo storage adapter needs MONGODB_URI to be set');
+    }
+
+    const { MongoClient } = loadDriver();
+    const client = new MongoClient(mongoUri);
+    let dbPromise = null;
+    const uniqueIndexes = new Map();
+
+    // Connect on first use so createStore() can stay synchronous
+    function getDb() {
+        if (!dbPromise) {
+            dbPromise = client.connect().then(() => client.db(mongoDb));
+        }
+        return dbPromise;
+    }
+
+    return {
+        type: 'mongo',
+
+        collection(name) {
+            const getCollection = async () => (await getDb()).collection(name);
+
+            // Unique index that ignores documents without the key (events from older clients)
+            // A failed attempt is forgotten, so the next insert tries again
+            function ensureUniqueIndex(collection, uniqueKey) {
+                const indexName = `${name}:${uniqueKey}`;
+                if (!uniqueIndexes.has(indexName)) {
+                    uniqueIndexes.set(indexName, collection.createIndex(
+                        { [uniqueKey]: 1 },
+                        { unique: true, partialFilterExpression: { [uniqueKey]: { $exists: true } } }
+                    ).catch(error => {
+                        uniqueIndexes.delete(indexName);
+                        throw error;
+                    }));
+                }
+                return uniqueIndexes.get(indexName);
+            }
+
+            return {
+                /**
+                 * Insert docs, returning how many were stored
+                 * With uniqueKey, duplicate key errors are counted as skipped docs instead of failures
+                 */
+                async insertMany(docs, { uniqueKey } = {}) {
+                    if (docs.length === 0) {
+                        return 0;
+                    }
+                    const collection = await getCollection();
+                    if (uniqueKey) {
+                        await ensureUniqueIndex(collection, uniqueKey);
+                    }
+                    try {
+                        // insertMany adds _id to the documents it is given, so pass copies
+                        const result = await collection.insertMany(docs.map(doc => ({ ...doc })), { ordered: false });
+                        return result.insertedCount;
+                    } catch (error) {
+                        const writeErrors = error.writeErrors ? [].concat(error.writeErrors) : [];
+                        const onlyDuplicates = uniqueKey && writeErrors.length > 0 &&
+                            writeErrors.every(writeError => writeError.code === DUPLICATE_KEY_ERROR);
+                        if (!onlyDuplicates) {
+                            throw error;
+                        }
+                        return docs.length - writeErrors.length;
+                    }
+                },
+
+                async find(filter = {}, { limit } = {}) {
+                    let cursor = (await getCollection()).find(compactFilter(filter), { projection: { _id: 0 } });
+                    if (limit) {
+                        cursor = cursor.limit(limit);
+                    }
+                    return cursor.toArray();
+                },
+
+                async count(filter = {}) {
+                    return (await getCollection()).countDocuments(compactFilter(filter));
+                },
+
+                /**
+                 * Remove matching docs, returning how many were removed
+                 */
+                async deleteMany(filter) {
+                    assertTargetedFilter(filter);
+                    const result = await (await getCollection()).deleteMany(compactFilter(filter));
+                    return result.deletedCount;
+                }
+            };
+        },
+
+        async close() {
+            if (dbPromise) {
+                await client.close();
+            }
+        }
+    };
+}
+
+module.exports = { createMongoAdapter };
@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashParticipantId } = require('../server/lib/participant-data');
+const { startServer, createEvent } = require('./helpers/server');
+
+const ADMIN = { Authorization: 'Bearer admin-secret' };
+
+/**
+ * A server holding one participant's event, assignment and check-in, plus another participant's event
+ */
+async function startWithParticipant(t, env = {}) {
+    const server = await startServer(t, { ADMIN_API_TOKEN: 'admin-secret', ...env });
+    await server.request('POST', '/api/track', createEvent({ participant_id: 'participant_1' }));
+    await server.request('POST', '/api/track', createEvent({ participant_id: 'participant_1', event_name: 'not_in_registry' }));
+    await server.request('POST', '/api/track', createEvent({ participant_id: 'participant_2' }));
+    await server.request('POST', '/api/assignment', { participant_id: 'participant_1' });
+    await server.request('POST', '/api/participants/check-in', { participant_id: 'participant_1', study_type: 'feed_video', session_id: 'session_1' });
+    return server;
+}
+
+test('admin routes are off without ADMIN_API_TOKEN and need the token with it', async t => {
+    const disabled = await startServer(t);
+    assert.strictEqual((await disabled.request('GET', '/api/admin/participants/export?participant_id=participant_1', undefined, ADMIN)).status, 403);
+
+    const { request } = await startServer(t, { ADMIN_API_TOKEN: 'admin-secret' });
+    assert.strictEqual((await request('GET', '/api/admin/participants/export?participant_id=participant_1')).status, 401);
+    const wrong = { Authorization: 'Bearer admin-secre' };
+    assert.strictEqual((await request('POST', '/api/admin/participants/delete', { participant_id: 'participant_1' }, wrong)).status, 401);
+    assert.strictEqual((await request('GET', '/api/admin/participants/export', undefined, ADMIN)).status, 400);
+});
+
+test('an export holds everything stored for the participant, and nobody else\'s', async t => {
+    const { request } = await startWithParticipant(t);
+
+    const response = await request('GET', '/api/admin/participants/export?participant_id=participant_1', undefined, ADMIN);
+
+    assert.strictEqual(response.status, 200);
+    const { collections } = response.body;
+    assert.strictEqual(collections.events.length, 1);
+    assert.strictEqual(collections.quarantined_events.length, 1);
+    assert.strictEqual(collections.assignments.length, 1);
+    assert.strictEqual(collections.participants.length, 1);
+    Object.values(collections).flat().forEach(doc => assert.strictEqual(doc.participant_id, 'participant_1'));
+});
+
+test('a deletion removes the participant\'s documents and leaves an audit record without the ID', async t => {
+    const { request, store, config } = await startWithParticipant(t);
+
+    const response = await request('POST', '/api/admin/participants/delete', {
+        participant_id: 'participant_1', reason: 'withdrew consent', requested_by: 'irb-ticket-12'
+    }, ADMIN);
+
+    assert.strictEqual(response.status, 200);
+    const { audit } = response.body;
+    assert.strictEqual(audit.deleted_total, 4);
+    assert.strictEqual(audit.participant_id_sha256, hashParticipantId('participant_1'));
+    const exported = await request('GET', '/api/admin/participants/export?participant_id=participant_1', undefined, ADMIN);
+    Object.values(exported.body.collections).forEach(docs => assert.deepStrictEqual(docs, []));
+    assert.strictEqual(await store.collection(config.eventsCollection).count({ participant_id: 'participant_2' }), 1);
+    const [record] = await store.collection(config.dataRequests.auditCollection).find();
+    assert.strictEqual(record.reason, 'withdrew consent');
+    assert.ok(!JSON.stringify(record).includes('participant_1'));
+});
+
+test('with pseudonyms on, export and deletion take the raw ID and cover the mapping', async t => {
+    const { request, store, config } = await startWithParticipant(t, { PSEUDONYMIZE_PARTICIPANT_IDS: 'true', PSEUDONYM_KEY: 'test-key' });
+
+    const exported = await request('GET', '/api/admin/participants/export?participant_id=participant_1', undefined, ADMIN);
+    assert.match(exported.body.pseudonym, /^pid_/);
+    assert.strictEqual(exported.body.collections.events.length, 1);
+    assert.deepStrictEqual(exported.body.collections.participant_pseudonyms.map(mapping => mapping.participant_id), ['participant_1']);
+
+    const deleted = await request('POST', '/api/admin/participants/delete', { participant_id: 'participant_1' }, ADMIN);
+    assert.strictEqual(deleted.body.audit.deleted_counts.participant_pseudonyms, 1);
+    assert.deepStrictEqual(await store.collection(config.pseudonyms.collection).find({ participant_id: 'participant_1' }), []);
+});
+
+test('the quarantine summary counts events by reason and name', async t => {
+    const { request } = await startWithParticipant(t);
+
+    const response = await request('GET', '/api/admin/quarantine', undefined, ADMIN);
+
+    assert.strictEqual(response.body.total, 1);
+    assert.deepStrictEqual(response.body.by_reason, { unknown_event: 1 });
+    assert.deepStrictEqual(response.body.by_event_name, { not_in_registry: 1 });
+});
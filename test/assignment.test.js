@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../server/config');
+const { createStore } = require('../server/storage');
+const { createAssignmentService, getBlock } = require('../server/lib/assignment');
+const { startServer } = require('./helpers/server');
+
+const ARMS = ['feed_video', 'feed_carousel', 'reel_video', 'reel_carousel'];
+
+function createService(env = {}) {
+    const config = loadConfig({ STORAGE_ADAPTER: 'memory', ...env });
+    return createAssignmentService({ store: createStore(config.storage), config });
+}
+
+function tally(conditions) {
+    const counts = {};
+    conditions.forEach(condition => (counts[condition] = (counts[condition] || 0) + 1));
+    return counts;
+}
+
+test('every block holds each arm the same number of times', async () => {
+    const service = createService({ ASSIGNMENT_BLOCK_REPEATS: '2' });
+
+    const conditions = [];
+    for (let i = 0; i < 24; i++) {
+        conditions.push((await service.assign(`participant_${i}`)).condition);
+    }
+
+    for (let block = 0; block < 3; block++) {
+        assert.deepStrictEqual(tally(conditions.slice(block * 8, block * 8 + 8)), {
+            feed_video: 2, feed_carousel: 2, reel_video: 2, reel_carousel: 2
+        });
+    }
+    assert.deepStrictEqual(await service.getCounts(), { feed_video: 6, feed_carousel: 6, reel_video: 6, reel_carousel: 6 });
+});
+
+test('a participant always gets their first arm back', async () => {
+    const service = createService();
+
+    const first = await service.assign('participant_1');
+    await service.assign('participant_2');
+    const again = await service.assign('participant_1');
+
+    assert.strictEqual(first.is_new, true);
+    assert.strictEqual(again.is_new, false);
+    assert.strictEqual(again.condition, first.condition);
+    const counts = await service.getCounts();
+    assert.strictEqual(Object.values(counts).reduce((sum, count) => sum + count, 0), 2);
+});
+
+test('concurrent first visits get consecutive places in the block', async () => {
+    const service = createService({ ASSIGNMENT_BLOCK_REPEATS: '1' });
+
+    const assignments = await Promise.all(ARMS.map((arm, i) => service.assign(`participant_${i}`)));
+
+    assert.deepStrictEqual(assignments.map(assignment => assignment.assignment_index).sort(), [0, 1, 2, 3]);
+    assert.deepStrictEqual(assignments.map(assignment => assignment.condition).sort(), ARMS.slice().sort());
+});
+
+test('the block order follows the seed, so a restart continues the same permutation', () => {
+    assert.deepStrictEqual(getBlock(ARMS, 2, 'seed-a', 5), getBlock(ARMS, 2, 'seed-a', 5));
+    const orders = new Set(['seed-a', 'seed-b', 'seed-c', 'seed-d'].map(seed => getBlock(ARMS, 2, seed, 0).join()));
+    assert.ok(orders.size > 1, 'different seeds give different orders');
+});
+
+test('POST /api/assignment assigns an arm and GET /api/assignment/counts reports the arms', async t => {
+    const { request } = await startServer(t, { ASSIGNMENT_ARMS: 'feed_video, reel_video' });
+
+    const assigned = await request('POST', '/api/assignment', { participant_id: ' participant_1 ' });
+    const counts = await request('GET', '/api/assignment/counts');
+
+    assert.strictEqual(assigned.status, 200);
+    assert.strictEqual(assigned.body.participant_id, 'participant_1');
+    assert.ok(['feed_video', 'reel_video'].includes(assigned.body.condition));
+    assert.strictEqual(counts.body.total, 1);
+    assert.deepStrictEqual(Object.keys(counts.body.counts), ['feed_video', 'reel_video']);
+    assert.strictEqual((await request('POST', '/api/assignment', { participant_id: '' })).status, 400);
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../server/config');
+const { createStore } = require('../server/storage');
+const { createAssignmentService } = require('../server/lib/assignment');
+
+test('an explicit 0 is kept rather than replaced by the default', () => {
+    const config = loadConfig({
+        PORT: '0',
+        QUOTA_MIN_COMPLETION_RATE: '0',
+        SESSION_TOKEN_REPLAY_GRACE_HOURS: '0',
+        RATE_LIMIT_EVENTS_PER_SESSION: '0'
+    });
+
+    assert.strictEqual(config.port, 0);
+    assert.strictEqual(config.quota.minCompletionRate, 0);
+    assert.strictEqual(config.sessionTokens.replayGraceHours, 0);
+    assert.strictEqual(config.limits.eventsPerSession, 0);
+});
+
+test('missing, empty and non-numeric values fall back to the default', () => {
+    const config = loadConfig({
+        QUOTA_MIN_COMPLETION_RATE: '',
+        SESSION_TOKEN_TTL_MINUTES: 'two hours',
+        MAX_BATCH_EVENTS: ' '
+    });
+
+    assert.strictEqual(config.port, 3000);
+    assert.strictEqual(config.quota.minCompletionRate, 100);
+    assert.strictEqual(config.sessionTokens.ttlMinutes, 120);
+    assert.strictEqual(config.limits.maxBatchEvents, 10);
+});
+
+test('numbers are read as before otherwise', () => {
+    const config = loadConfig({ QUOTA_MIN_WATCH_SECONDS: '7.5', RATE_LIMIT_EVENTS_PER_IP: '5000' });
+
+    assert.strictEqual(config.quota.minWatchSeconds, 7.5);
+    assert.strictEqual(config.limits.eventsPerIp, 5000);
+});
+
+test('an assignment block of 0 repeats is refused at startup rather than dividing by zero', () => {
+    const config = loadConfig({ ASSIGNMENT_BLOCK_REPEATS: '0' });
+
+    assert.throws(() => createAssignmentService({ store: createStore({ adapter: 'memory' }), config }), /ASSIGNMENT_BLOCK_REPEATS of 1 or more/);
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createDocument, wait } = require('./helpers/browser');
+const { startServer, createEvent } = require('./helpers/server');
+
+const PROLIFIC_ID = '5f1a2b3c4d5e6f7a8b9c0d1e';
+
+// Stands in for js/consent-screen.js with the consent step enabled
+function createConsentScreen() {
+    let status = null;
+    let answer;
+    return {
+        ready: new Promise(resolve => {
+            answer = value => {
+                status = value;
+                resolve(value);
+            };
+        }),
+        hasConsented: () => status === 'given',
+        getStatus: () => status,
+        answer: value => answer(value)
+    };
+}
+
+function createTrackedPage() {
+    const consent = createConsentScreen();
+    const browser = createBrowser({
+        url: `http://localhost:3000/?PROLIFIC_ID=${PROLIFIC_ID}`,
+        routes: {
+            'POST /api/participants/check-in': () => ({ allowed: true, status: 'new' })
+        },
+        globals: { ConsentScreen: consent }
+    });
+    browser.load('js/mongo-tracker-base.js');
+    browser.window.MongoTracker.sessionResumeWindow = 30 * 60 * 1000;
+    browser.window.MongoTracker.participationCheck = true;
+    browser.window.MongoTracker.conditionAssignment = true;
+    return { browser, consent };
+}
+
+test('nothing is posted before the participant consents', async () => {
+    const { browser, consent } = createTrackedPage();
+    const ready = browser.window.MongoTracker.initialize('feed_video');
+    browser.window.MongoTracker.track('consent_shown', { consent_version: '1.0' });
+    await wait(20);
+
+    assert.deepStrictEqual(browser.requests, []);
+
+    consent.answer('given');
+    await ready;
+    await wait(10);
+
+    const paths = browser.requests.map(request => request.path);
+    assert.ok(paths.includes('/api/participants/check-in'));
+    assert.ok(paths.includes('/api/assignment'));
+    const names = browser.postedEvents().map(event => event.event_name);
+    assert.ok(names.includes('page_view'));
+    assert.ok(names.includes('consent_shown'));
+});
+
+test('nothing is posted when consent is declined', async () => {
+    const { browser, consent } = createTrackedPage();
+    const ready = browser.window.MongoTracker.initialize('feed_video');
+    browser.window.MongoTracker.track('consent_shown', { consent_version: '1.0' });
+
+    consent.answer('declined');
+    await assert.rejects(ready);
+    browser.window.MongoTracker.track('consent_declined', { consent_version: '1.0' });
+    await wait(20);
+
+    assert.deepStrictEqual(browser.requests, []);
+});
+
+test('declining consent sends an anonymous consent_declined event to /api/track', async () => {
+    const config = { consent: { enabled: true, version: '1.0', text: 'Please read this.' } };
+    const dom = createDocument();
+    const browser = createBrowser({
+        url: `http://localhost:3000/?PROLIFIC_ID=${PROLIFIC_ID}&STUDY_ID=study_1`,
+        globals: {
+            document: dom.document,
+            StudyConfig: { ready: Promise.resolve(config), get: (key, fallback) => fallback }
+        }
+    });
+    browser.load('js/mongo-tracker-base.js', 'js/tracking.js', 'js/consent-screen.js');
+    const ready = browser.window.MongoTracker.initialize('feed_video');
+    ready.catch(() => {});
+    await wait(10);
+    assert.ok(dom.appended.some(element => element.id === 'consent-screen'), 'consent screen is shown');
+
+    dom.find('.consent-decline').listeners.click.forEach(callback => callback());
+    await wait(10);
+
+    assert.deepStrictEqual(browser.requests.map(request => `${request.method} ${request.path}`), ['POST /api/track']);
+    const event = browser.requests[0].body;
+    assert.strictEqual(event.event_name, 'consent_declined');
+    assert.strictEqual(event.participant_id, 'anonymous');
+    assert.strictEqual(event.properties.consent_version, '1.0');
+    assert.strictEqual(event.properties.declined, true);
+    assert.strictEqual(event.page_url, 'http://localhost:3000/');
+    assert.ok(!('url_params' in event));
+    assert.ok(!('session_token' in event));
+    assert.ok(!JSON.stringify(event).includes(PROLIFIC_ID));
+    await assert.rejects(ready);
+});
+
+test('the API stores an anonymous consent_declined without a token or pseudonym', async t => {
+    const { request, store, config } = await startServer(t, {
+        SESSION_TOKEN_MODE: 'reject',
+        SESSION_TOKEN_SECRET: 'test-secret',
+        PSEUDONYMIZE_PARTICIPANT_IDS: 'true',
+        PSEUDONYM_KEY: 'test-key'
+    });
+    const declined = createEvent({
+        event_name: 'consent_declined',
+        participant_id: 'anonymous',
+        properties: { consent_version: '1.0', declined: true, checkbox_checked: false, time_on_screen_ms: 1200 }
+    });
+
+    const response = await request('POST', '/api/track', declined);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.inserted_count, 1);
+
+    const stored = await store.collection(config.eventsCollection).find({});
+    assert.strictEqual(stored[0].participant_id, 'anonymous');
+    assert.strictEqual(await store.collection(config.pseudonyms.collection).count(), 0);
+
+    // Any other event still needs its token
+    const unsigned = await request('POST', '/api/track', createEvent({ participant_id: 'anonymous' }));
+    assert.strictEqual(unsigned.status, 401);
+});
+
+test('without the study config the built-in consent text is shown and agreeing unlocks tracking', async () => {
+    const dom = createDocument();
+    const browser = createBrowser({
+        url: `http://localhost:3000/?PROLIFIC_ID=${PROLIFIC_ID}`,
+        globals: {
+            document: dom.document,
+            StudyConfig: { ready: Promise.reject(new Error('404')), get: (key, fallback) => fallback }
+        }
+    });
+    browser.load('js/mongo-tracker-base.js', 'js/tracking.js', 'js/consent-screen.js');
+    const ready = browser.window.MongoTracker.initialize('feed_video');
+    await wait(10);
+
+    assert.ok(dom.appended.some(element => element.id === 'consent-screen'), 'consent screen is shown');
+    assert.match(dom.find('.consent-text').innerHTML, /About this study/);
+    assert.strictEqual(dom.find('.consent-version').textContent, 'Version built-in');
+
+    dom.find('[name="consent"]').checked = true;
+    dom.find('form').listeners.submit.forEach(callback => callback({ preventDefault() {} }));
+
+    assert.strictEqual(await browser.window.ConsentScreen.ready, 'given');
+    assert.strictEqual(await ready, PROLIFIC_ID);
+    await wait(10);
+    const given = browser.postedEvents().find(event => event.event_name === 'consent_given');
+    assert.strictEqual(given.properties.consent_version, 'built-in');
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, wait } = require('./helpers/browser');
+
+const PROLIFIC_ID = '5f1a2b3c4d5e6f7a8b9c0d1e';
+const URL = `http://localhost:3000/?PROLIFIC_ID=${PROLIFIC_ID}`;
+
+function issueTokens(issued) {
+    return () => {
+        issued.push(`token-${issued.length + 1}`);
+        return { token: issued[issued.length - 1], expires_at: new Date(Date.now() + 3600000).toISOString() };
+    };
+}
+
+test('an event the API rejects as invalid is dead-lettered at once, not retried', async () => {
+    const browser = createBrowser({
+        url: URL,
+        routes: {
+            'POST /api/track': body => (body.event_name === 'cta_click' ? { status: 400, body: { success: false } } : { success: true })
+        }
+    });
+    browser.load('js/mongo-tracker-base.js');
+    const tracker = browser.window.MongoTracker;
+    await tracker.initialize('feed_video');
+
+    tracker.track('cta_click', { cta_type: 'like' });
+    await wait(10);
+    await tracker.flush({ reason: 'test', timeout: 500 });
+
+    const sent = browser.postedEvents().filter(event => event.event_name === 'cta_click');
+    assert.strictEqual(sent.length, 1);
+    assert.deepStrictEqual(Array.from(tracker.deadLetterQueue, event => event.event_name), ['cta_click']);
+    assert.strictEqual(tracker.eventQueue.length, 0);
+});
+
+test('after a 401 the session events are re-signed with one fresh token and retried', async () => {
+    const issued = [];
+    const browser = createBrowser({
+        url: URL,
+        routes: {
+            'POST /api/sessions/token': issueTokens(issued),
+            // The first token was signed with a secret the API has since rotated
+            'POST /api/track': body => (body.session_token === 'token-1' ? { status: 401, body: { success: false } } : { success: true })
+        }
+    });
+    browser.load('js/mongo-tracker-base.js');
+    const tracker = browser.window.MongoTracker;
+    await tracker.initialize('feed_video');
+    await wait(10);
+
+    // page_view and session_start were turned down together; they share one new token
+    assert.deepStrictEqual(issued, ['token-1', 'token-2']);
+    assert.deepStrictEqual(Array.from(tracker.eventQueue, event => event.session_token), ['token-2', 'token-2']);
+    assert.strictEqual(tracker.deadLetterQueue.length, 0);
+
+    await tracker.flush({ reason: 'test', timeout: 500 });
+    const batch = browser.requests.find(request => request.path === '/api/track/batch');
+    assert.deepStrictEqual(Array.from(batch.body.events, event => event.event_name), ['page_view', 'session_start', 'tracker_delivery_report']);
+    assert.strictEqual(tracker.eventQueue.length, 0);
+});
+
+test('an event turned down again after its new token is dead-lettered', async () => {
+    const issued = [];
+    const unauthorized = () => ({ status: 401, body: { success: false } });
+    const browser = createBrowser({
+        url: URL,
+        routes: {
+            'POST /api/sessions/token': issueTokens(issued),
+            'POST /api/track': unauthorized,
+            'POST /api/track/batch': unauthorized
+        }
+    });
+    browser.load('js/mongo-tracker-base.js');
+    const tracker = browser.window.MongoTracker;
+    await tracker.initialize('feed_video');
+    await wait(10);
+
+    await tracker.flush({ reason: 'test', timeout: 500 });
+
+    assert.deepStrictEqual(Array.from(tracker.deadLetterQueue, event => event.event_name), ['page_view', 'session_start']);
+    // The flush's own report was signed with token-2, so it is re-signed once and left to the beacon
+    assert.deepStrictEqual(issued, ['token-1', 'token-2', 'token-3']);
+    const beacon = browser.requests.find(request => request.method === 'BEACON');
+    assert.deepStrictEqual(beacon.body.events.map(event => [event.event_name, event.session_token]), [['tracker_delivery_report', 'token-3']]);
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validateSchema } = require('../js/json-schema');
+const { loadConfig } = require('../server/config');
+const { createSchemaRegistry } = require('../server/lib/event-schemas');
+const { createBrowser, wait } = require('./helpers/browser');
+
+const ROOT = path.resolve(__dirname, '..');
+const REGISTRY = JSON.parse(fs.readFileSync(path.join(ROOT, 'config', 'event-schemas.json'), 'utf8'));
+const PROLIFIC_ID = '5f1a2b3c4d5e6f7a8b9c0d1e';
+
+// Page code whose events never reach the API (GA4 only)
+const GA_ONLY_FILES = ['ga-video.js', 'ga-lite.js', 'ga-lite-clean.js', 'ga-lite-corrupted-backup.js'];
+
+// One event of each name as the client builds it (see the file named for each)
+const SAMPLES = {
+    // js/mongo-tracker-base.js
+    page_view: { page_title: 'NYU Feed Video Ad', referrer: null },
+    session_start: {
+        session_id: 'session_1', url_params: { PROLIFIC_ID }, resume_count: 0, resumed_from: null,
+        assigned_condition: 'feed_video', assignment_is_new: true, assignment_error: null,
+        participation_status: 'new', participation_allowed: true, participation_reason: null
+    },
+    tracker_delivery_report: {
+        flush_reason: 'pagehide', events_tracked: 12, events_delivered: 11, events_pending: 1,
+        events_quarantined: 0, failed_attempts: 1, retried_events: 1, circuit_open_count: 0,
+        rate_limited_count: 0, recovered_count: 0, dead_letter_count: 0, dead_letter_events: []
+    },
+    event_queue_recovered: { recovered_count: 2, recovered_session_ids: ['session_0'], oldest_event_timestamp: '2024-05-01T10:00:00.000Z' },
+    // js/participant-id-form.js
+    participant_id_validation_failed: { reason: 'pattern_mismatch', attempt: 1, input_length: 9 },
+    // js/consent-screen.js
+    consent_shown: { consent_version: '1.0' },
+    consent_given: { consent_version: '1.0', checkbox_checked: true, time_on_screen_ms: 5300 },
+    consent_declined: { consent_version: '1.0', declined: true, checkbox_checked: false, time_on_screen_ms: 2100 },
+    // js/participation-check.js, js/study-quota.js
+    participation_excluded_shown: { reason: 'repeat' },
+    study_full_shown: { condition: 'feed_video', target: 150, completed: 150 },
+    // js/mongo-feed-video-tracker.js
+    assignment_mismatch: { assigned_condition: 'reel_video', page_condition: 'feed_video' },
+    assignment_redirect: { assigned_condition: 'reel_video', page_condition: 'feed_video', target_url: 'https://example.org/reel.html?PROLIFIC_ID=x' },
+    feed_video_state_restored: { resume_count: 1, restored_from: 'storage', total_watch_time_seconds: 12, play_count: 1, milestones_reached: [25], condition: 'feed_video' },
+    feed_video_start: { video_duration: 30.5, video_id: 'nyu_feed_video', condition: 'feed_video' },
+    feed_video_watch_time: { watch_time_seconds: 10, watch_time_minutes: 0.17, condition: 'feed_video' },
+    feed_video_progress: { milestone: 50, milestone_percent: 50, current_time: 15, total_watch_time: 15, condition: 'feed_video' },
+    feed_video_complete: {
+        total_watch_time_seconds: 31, total_watch_time_minutes: 0.52, video_duration: 30.5, completion_rate: 100,
+        play_count: 1, completion_count: 1, milestones_reached: [25, 50, 75, 100], milestone_25_reached: true,
+        milestone_50_reached: true, milestone_75_reached: true, milestone_100_reached: true, condition: 'feed_video'
+    },
+    feed_video_summary: {
+        total_watch_time_seconds: 31, total_watch_time_minutes: 0.52, video_duration: 30.5, completion_rate: 100,
+        play_count: 1, completion_count: 1, milestones_reached: [25, 50, 75, 100], max_progress_reached: 30,
+        flush_reason: 'return_to_survey', session_resumed: false, resume_count: 0, condition: 'feed_video'
+    },
+    // js/survey-return.js
+    return_to_survey: {
+        participant_id: PROLIFIC_ID, session_id: 'session_1', condition: 'feed_video', total_watch_time_seconds: 31,
+        completion_rate: 100, max_progress_reached: 30, play_count: 1, milestones_reached: '25,50,75,100',
+        consent: 'given', return_reason: 'participant'
+    },
+    return_gate_locked: { min_watch_seconds: 20, min_milestone: null, max_session_seconds: null },
+    return_gate_unlocked: {
+        min_watch_seconds: 20, min_milestone: null, max_session_seconds: null, unlock_reason: 'min_watch_time',
+        total_watch_time_seconds: 20.4, milestones_reached: [25, 50], blocked_clicks: 1
+    },
+    return_gate_blocked_click: {
+        min_watch_seconds: 20, min_milestone: null, max_session_seconds: null, blocked_clicks: 1,
+        total_watch_time_seconds: 8, remaining_seconds: 12
+    },
+    return_gate_auto_return: {
+        min_watch_seconds: null, min_milestone: null, max_session_seconds: 300, session_seconds: 300,
+        total_watch_time_seconds: 45, gate_was_locked: false
+    },
+    // index.html
+    cta_click: { cta_type: 'like', post_type: 'video', post_id: 'nyu_feed_video_ad', username: 'nyu_stern', content_type: 'sponsored_video', study_id: 'instagram_feed_video_study' },
+    // js/mongo-tracker.js (legacy vocabulary)
+    video_start: { video_duration: 30, video_type: 'feed_video', video_id: 'nyu_feed_video' },
+    video_play: { current_time: 0, video_duration: 30, video_type: 'feed_video' },
+    video_pause: { current_time: 12, video_duration: 30, video_type: 'feed_video' },
+    video_progress: { milestone: 25, milestone_percent: 25, current_time: 8, video_duration: 30, video_type: 'feed_video', milestones_reached: [25] },
+    video_session_complete: {
+        total_watch_time_seconds: 30, video_duration: 30, watch_percentage: 100, milestones_reached: [25, 50, 75, 100],
+        milestone_25_reached: true, milestone_50_reached: true, milestone_75_reached: true, milestone_100_reached: true,
+        video_type: 'feed_video'
+    }
+};
+
+/**
+ * Names of the events page code sends to the API, found in the source
+ */
+function findClientEventNames() {
+    const files = fs.readdirSync(path.join(ROOT, 'js'))
+        .filter(file => file.endsWith('.js') && !GA_ONLY_FILES.includes(file))
+        .map(file => path.join(ROOT, 'js', file))
+        .concat(path.join(ROOT, 'index.html'));
+    const pattern = /\b(?:track|enqueue|sendEvent|enqueueEvent|trackGateEvent|trackAnonymous)\('([a-z0-9_]+)'/g;
+    const names = new Set();
+    files.forEach(file => {
+        for (const match of fs.readFileSync(file, 'utf8').matchAll(pattern)) {
+            names.add(match[1]);
+        }
+    });
+    return Array.from(names).sort();
+}
+
+test('every event the client sends has a schema and a sample here', () => {
+    const names = findClientEventNames();
+    assert.ok(names.length > 20);
+    names.forEach(name => {
+        assert.ok(REGISTRY.events[name], `${name} is not in config/event-schemas.json`);
+        assert.ok(SAMPLES[name], `${name} has no sample in this test`);
+    });
+});
+
+test('each client event sample matches the registry', () => {
+    Object.entries(SAMPLES).forEach(([name, properties]) => {
+        assert.deepStrictEqual(validateSchema(REGISTRY.events[name], properties), [], name);
+    });
+});
+
+test('the tracker checks events with the same validator as the API', async () => {
+    const browser = createBrowser({
+        routes: { 'GET /config/event-schemas.json': () => REGISTRY }
+    });
+    browser.load('js/json-schema.js', 'js/event-schemas.js');
+    const invalid = { consent_version: 1, checkbox_checked: 'yes' };
+
+    const result = await browser.window.EventSchemas.check('consent_given', invalid);
+
+    assert.strictEqual(result.known, true);
+    assert.deepStrictEqual(Array.from(result.errors), validateSchema(REGISTRY.events.consent_given, invalid));
+    assert.strictEqual(result.errors.length, 3);
+});
+
+test('events the base and legacy trackers actually send match the registry', async () => {
+    const persisted = [{
+        event_id: 'left-over', sequence: 1, event_name: 'page_view', participant_id: PROLIFIC_ID, study_type: 'feed_video',
+        session_id: 'session_0', properties: SAMPLES.page_view, page_url: 'http://localhost:3000/', timestamp: new Date().toISOString()
+    }];
+    const browser = createBrowser({
+        url: `http://localhost:3000/?PROLIFIC_ID=${PROLIFIC_ID}`,
+        globals: {
+            MongoTrackerQueueStore: { put: async () => {}, remove: async () => {}, getAll: async () => persisted }
+        }
+    });
+    browser.load('js/mongo-tracker-base.js', 'js/mongo-tracker.js');
+    await browser.window.MongoTracker.ready;
+    const legacy = browser.window.MongoVideoTracker;
+    legacy.trackVideoStart(30);
+    legacy.trackVideoPlay(0, 30);
+    legacy.trackVideoProgress(25, 8, 30);
+    legacy.trackVideoPause(12, 30);
+    legacy.trackVideoSessionComplete(12, 30);
+    legacy.trackCTAClick('like', 'like-button');
+    await wait(10);
+    await browser.window.MongoTracker.flush({ reason: 'test', timeout: 500 });
+
+    const schemas = createSchemaRegistry(loadConfig({}));
+    const events = browser.postedEvents();
+    const names = new Set(events.map(event => event.event_name));
+    ['page_view', 'session_start', 'event_queue_recovered', 'tracker_delivery_report', 'video_start', 'video_session_complete', 'cta_click']
+        .forEach(name => assert.ok(names.has(name), name));
+    events.forEach(event => assert.strictEqual(schemas.check(event), null, event.event_name));
+});
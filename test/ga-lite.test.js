@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createDocument, wait } = require('./helpers/browser');
+
+const PROLIFIC_ID = '5f1a2b3c4d5e6f7a8b9c0d1e';
+
+function createGaLitePage(config, globals = {}) {
+    const dom = createDocument();
+    const browser = createBrowser({
+        url: `http://localhost:3000/?PROLIFIC_ID=${PROLIFIC_ID}`,
+        globals: {
+            document: dom.document,
+            StudyConfig: {
+                ready: Promise.resolve(config),
+                get: (path, fallback) => path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), config) ?? fallback
+            },
+            ...globals
+        }
+    });
+    return { browser, dom };
+}
+
+test('without a measurement ID GALite stops initializing and drops events instead of re-queueing them', async () => {
+    const { browser } = createGaLitePage({});
+    browser.load('js/ga-lite-clean.js');
+    await wait(10);
+
+    assert.strictEqual(browser.window.GALite.isInitializing, false);
+    assert.strictEqual(browser.window.GALite.isUnavailable, true);
+
+    browser.window.GALite.track('cta_click', { cta_type: 'like' });
+    assert.ok(browser.logs.some(line => line === 'WARN GA4 not available, dropping event: cta_click'));
+});
+
+test('events waiting for a gtag.js that never loads are dropped after a bounded number of retries', async () => {
+    let checks = 0;
+    const { browser } = createGaLitePage({ analytics: { ga_measurement_id: 'G-TEST' } }, {
+        // Retries run at once instead of every 100 ms
+        setTimeout: callback => {
+            checks++;
+            return setImmediate(callback);
+        }
+    });
+    browser.load('js/ga-lite-clean.js');
+    await wait(10);
+    assert.strictEqual(browser.window.GALite.isInitializing, true, 'gtag.js is still loading');
+
+    browser.window.GALite.track('cta_click', { cta_type: 'like' });
+    await wait(100);
+
+    assert.strictEqual(checks, 150);
+    assert.ok(browser.logs.some(line => line === 'WARN GA4 not available, dropping event: cta_click'));
+});
+
+test('the GA4 sink drops its buffer as soon as GALite cannot load', async () => {
+    const config = { tracking: { sinks: { mongo: { enabled: false }, ga4: { enabled: true } } } };
+    const { browser } = createGaLitePage(config);
+    browser.load('js/tracking.js', 'js/ga-lite-clean.js');
+    await browser.window.Tracking.ready;
+
+    browser.window.Tracking.track('cta_click', { cta_type: 'like' });
+    await wait(400);
+
+    const status = browser.window.Tracking.getStatus().ga4;
+    assert.strictEqual(status.dropped, 1);
+});
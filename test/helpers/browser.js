@@ -0,0 +1,169 @@
+/**
+ * Test helper - runs the page scripts (js/*.js) in a bare browser-like context
+ * Only what the trackers touch is provided: location, storage, a document
+ * without elements, and a fetch that records requests and answers from routes
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+// Timers must not keep the test process alive (the tracker's batch timer never stops)
+function unref(timer) {
+    if (timer && timer.unref) timer.unref();
+    return timer;
+}
+
+/**
+ * Create a context; routes maps 'METHOD /path' to a function (body, url) returning
+ * the JSON answer, or { status, body } for anything but 200
+ */
+function createBrowser({ url = 'http://localhost:3000/', routes = {}, globals = {} } = {}) {
+    const requests = [];
+    const logs = [];
+    const location = new URL(url);
+
+    async function fetch(target, init = {}) {
+        const requestUrl = new URL(target, location.href);
+        const method = init.method || 'GET';
+        const body = init.body ? JSON.parse(init.body) : undefined;
+        requests.push({ method, path: requestUrl.pathname, url: requestUrl, body });
+
+        const route = routes[`${method} ${requestUrl.pathname}`];
+        const answer = route ? route(body, requestUrl) : { success: true };
+        const status = answer && answer.status ? answer.status : 200;
+        const data = answer && answer.status ? answer.body : answer;
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            headers: { get: () => null },
+            json: async () => data
+        };
+    }
+
+    const listeners = {};
+    const document = {
+        readyState: 'complete',
+        visibilityState: 'visible',
+        title: 'Test page',
+        referrer: '',
+        addEventListener: (type, callback) => (listeners[type] = listeners[type] || []).push(callback),
+        querySelector: () => null,
+        getElementById: () => null
+    };
+
+    const window = {
+        location,
+        document,
+        navigator: { sendBeacon: (beaconUrl, body) => requests.push({ method: 'BEACON', path: new URL(beaconUrl).pathname, body: JSON.parse(body) }) },
+        localStorage: createStorage(),
+        sessionStorage: createStorage(),
+        fetch,
+        URL,
+        URLSearchParams,
+        AbortController,
+        console: {
+            log: (...args) => logs.push(args.join(' ')),
+            warn: (...args) => logs.push('WARN ' + args.join(' ')),
+            error: (...args) => logs.push('ERROR ' + args.join(' '))
+        },
+        setTimeout: (...args) => unref(setTimeout(...args)),
+        clearTimeout,
+        setInterval: (...args) => unref(setInterval(...args)),
+        clearInterval,
+        addEventListener: (type, callback) => (listeners[type] = listeners[type] || []).push(callback),
+        ...globals
+    };
+    window.window = window;
+    vm.createContext(window);
+
+    return {
+        window,
+        requests,
+        logs,
+        load(...files) {
+            files.forEach(file => {
+                const filename = path.join(ROOT, file);
+                vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+            });
+        },
+        // Events the tracker posted, by single POST, batch or beacon
+        postedEvents() {
+            return requests.flatMap(request => {
+                if (request.path === '/api/track') return [request.body];
+                if (request.path === '/api/track/batch') return request.body.events;
+                return [];
+            });
+        }
+    };
+}
+
+/**
+ * Just enough DOM for the modules that build overlays (consent screen, ID form):
+ * every element answers querySelector with one shared element per selector, so
+ * a test can reach the inputs and buttons with find(selector). appended lists
+ * what was added to the page (overlays, style tags).
+ */
+function createDocument() {
+    const elements = new Map();
+    const appended = [];
+
+    function createElement() {
+        const listeners = {};
+        const classes = new Set();
+        return {
+            listeners,
+            value: '',
+            checked: false,
+            disabled: false,
+            classList: {
+                add: name => classes.add(name),
+                remove: name => classes.delete(name),
+                toggle: (name, force) => ((force === undefined ? !classes.has(name) : force) ? classes.add(name) : classes.delete(name)),
+                contains: name => classes.has(name)
+            },
+            addEventListener: (type, callback) => (listeners[type] = listeners[type] || []).push(callback),
+            querySelector(selector) {
+                if (!elements.has(selector)) elements.set(selector, createElement());
+                return elements.get(selector);
+            },
+            appendChild: child => appended.push(child),
+            remove() {},
+            focus() {}
+        };
+    }
+
+    const document = {
+        readyState: 'complete',
+        visibilityState: 'visible',
+        title: 'Test page',
+        referrer: '',
+        head: createElement(),
+        body: createElement(),
+        createElement,
+        addEventListener() {},
+        querySelector: () => null,
+        getElementById: () => null
+    };
+    return { document, appended, find: selector => elements.get(selector) };
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { createBrowser, createDocument, wait };
@@ -0,0 +1,60 @@
+/**
+ * Test helper - runs the tracking API on a free port with the memory store
+ * env is applied on top of STORAGE_ADAPTER=memory; the server is closed when
+ * the test ends
+ */
+
+'use strict';
+
+const http = require('http');
+const { loadConfig } = require('../../server/config');
+const { createStore } = require('../../server/storage');
+const { createApp } = require('../../server/app');
+
+async function startServer(t, env = {}) {
+    const config = loadConfig({ STORAGE_ADAPTER: 'memory', ...env });
+    config.staticDir = null;
+    const store = createStore(config.storage);
+    const server = http.createServer(createApp({ store, config }));
+    await new Promise(resolve => server.listen(0, resolve));
+    t.after(() => server.close());
+    const base = `http://localhost:${server.address().port}`;
+
+    /**
+     * Call a route; resolves with { status, body } (body parsed as JSON)
+     */
+    async function request(method, path, body, headers = {}) {
+        const response = await fetch(base + path, {
+            method,
+            headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+    }
+
+    return { base, config, store, request };
+}
+
+let eventCount = 0;
+
+/**
+ * A valid event envelope (a page_view unless overridden)
+ */
+function createEvent(overrides = {}) {
+    eventCount++;
+    return {
+        event_id: `event_${eventCount}`,
+        sequence: eventCount,
+        event_name: 'page_view',
+        participant_id: 'participant_1',
+        study_type: 'feed_video',
+        session_id: 'session_1',
+        properties: { page_title: 'Feed', referrer: null },
+        page_url: 'http://localhost:3000/',
+        timestamp: new Date().toISOString(),
+        ...overrides
+    };
+}
+
+module.exports = { startServer, createEvent };
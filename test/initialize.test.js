@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, wait } = require('./helpers/browser');
+
+test('after initialization fails, later events do not start it again', async () => {
+    const browser = createBrowser();
+    browser.load('js/mongo-tracker-base.js');
+    const tracker = browser.window.MongoTracker;
+    // No PROLIFIC_ID in the URL, no provider and no participant-id-form.js
+    tracker.track('page_loaded', {});
+    await assert.rejects(tracker.ready, /No way to obtain a participant ID/);
+    const sessionId = tracker.sessionId;
+
+    tracker.track('cta_click', { cta_type: 'like' });
+    tracker.track('cta_click', { cta_type: 'share' });
+    await assert.rejects(tracker.initialize('feed_video'));
+    await wait(10);
+
+    assert.strictEqual(browser.logs.filter(line => line === 'MongoTracker: Initializing...').length, 1);
+    assert.strictEqual(tracker.sessionId, sessionId);
+    assert.ok(tracker.initializationError);
+    assert.strictEqual(tracker.preInitBuffer.length, 0);
+    assert.deepStrictEqual(browser.requests, []);
+});
+
+test('events waiting for the participant ID are capped, dropping the oldest', async () => {
+    const browser = createBrowser();
+    browser.load('js/mongo-tracker-base.js');
+    const tracker = browser.window.MongoTracker;
+    // The participant has not entered their ID yet
+    tracker.participantIdProvider = () => new Promise(() => {});
+    tracker.initialize('feed_video');
+
+    for (let i = 1; i <= 600; i++) {
+        tracker.track('video_progress', { index: i });
+    }
+
+    assert.strictEqual(tracker.preInitBuffer.length, 500);
+    assert.strictEqual(tracker.preInitBuffer[0].properties.index, 101);
+    assert.ok(browser.logs.some(line => line.startsWith('WARN MongoTracker: Too many events')));
+});
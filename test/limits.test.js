@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../server/lib/rate-limit');
+const { startServer, createEvent } = require('./helpers/server');
+
+test('the rate limiter allows max units per key per window, then resets', t => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const limiter = createRateLimiter({ windowMs: 60000, max: 3 });
+
+    assert.strictEqual(limiter.check('a', 3).allowed, true);
+    limiter.consume('a', 2);
+    assert.strictEqual(limiter.check('a', 2).allowed, false, 'a check does not use anything up, but the cost must fit');
+    assert.strictEqual(limiter.check('a').allowed, true);
+    limiter.consume('a');
+    assert.deepStrictEqual(limiter.check('a'), { allowed: false, retryAfterSeconds: 60 });
+    assert.strictEqual(limiter.check('b').allowed, true, 'keys are counted apart');
+
+    now += 45000;
+    assert.strictEqual(limiter.check('a').retryAfterSeconds, 15);
+    now += 15000;
+    assert.strictEqual(limiter.check('a', 3).allowed, true);
+});
+
+test('a session over its limit gets a 429 with when to retry, and nothing more is counted', async t => {
+    const { request, store, config } = await startServer(t, { RATE_LIMIT_EVENTS_PER_SESSION: '3', RATE_LIMIT_WINDOW_SECONDS: '60' });
+
+    const first = await request('POST', '/api/track/batch', { events: [createEvent(), createEvent()] });
+    const over = await request('POST', '/api/track/batch', { events: [createEvent(), createEvent()] });
+    const last = await request('POST', '/api/track', createEvent());
+    const otherSession = await request('POST', '/api/track', createEvent({ session_id: 'session_2' }));
+
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(over.status, 429);
+    assert.deepStrictEqual(over.body.details, { limit: 'session', max_events: 3, window_seconds: 60, retry_after_seconds: 60 });
+    assert.strictEqual(over.headers.get('retry-after'), '60');
+    assert.strictEqual(last.status, 200, 'the refused batch used none of the allowance');
+    assert.strictEqual(otherSession.status, 200);
+    assert.strictEqual(await store.collection(config.eventsCollection).count(), 4);
+});
+
+test('the IP limit covers every session from one address, invalid events included', async t => {
+    const { request } = await startServer(t, { RATE_LIMIT_EVENTS_PER_IP: '2' });
+
+    assert.strictEqual((await request('POST', '/api/track', { event_name: 'broken' })).status, 400);
+    assert.strictEqual((await request('POST', '/api/track', createEvent({ session_id: 'session_a' }))).status, 200);
+    const over = await request('POST', '/api/track', createEvent({ session_id: 'session_b' }));
+
+    assert.strictEqual(over.status, 429);
+    assert.strictEqual(over.body.details.limit, 'ip');
+});
+
+test('behind a trusted proxy each forwarded client has its own IP allowance', async t => {
+    const { request } = await startServer(t, { RATE_LIMIT_EVENTS_PER_IP: '1', TRUST_PROXY: 'true' });
+    const from = ip => ({ 'X-Forwarded-For': `${ip}, 10.0.0.1` });
+
+    assert.strictEqual((await request('POST', '/api/track', createEvent({ session_id: 'a' }), from('203.0.113.1'))).status, 200);
+    assert.strictEqual((await request('POST', '/api/track', createEvent({ session_id: 'b' }), from('203.0.113.2'))).status, 200);
+    assert.strictEqual((await request('POST', '/api/track', createEvent({ session_id: 'c' }), from('203.0.113.1'))).status, 429);
+});
+
+test('oversized bodies, batches and properties get a 413 naming the limit', async t => {
+    const { request } = await startServer(t, { MAX_BODY_BYTES: '4096', MAX_BATCH_EVENTS: '2', MAX_PROPERTIES_BYTES: '200' });
+
+    const body = await request('POST', '/api/track', createEvent({ properties: { padding: 'x'.repeat(5000) } }));
+    assert.strictEqual(body.status, 413);
+    assert.deepStrictEqual(body.body.details, { max_body_bytes: 4096 });
+
+    const batch = await request('POST', '/api/track/batch', { events: [createEvent(), createEvent(), createEvent()] });
+    assert.strictEqual(batch.status, 413);
+    assert.deepStrictEqual(batch.body.details, { event_count: 3, max_batch_events: 2 });
+
+    const properties = await request('POST', '/api/track', createEvent({ properties: { padding: 'x'.repeat(300) } }));
+    assert.strictEqual(properties.status, 413);
+    assert.strictEqual(properties.body.details.max_properties_bytes, 200);
+
+    const inBatch = await request('POST', '/api/track/batch', { events: [createEvent(), createEvent({ properties: { padding: 'x'.repeat(300) } })] });
+    assert.strictEqual(inBatch.body.inserted_count, 1);
+    assert.match(inBatch.body.rejected[0].errors[0], /at most 200 bytes/);
+});
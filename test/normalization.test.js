@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { normalizeEvent } = require('../server/lib/normalize-event');
+const { startServer, createEvent } = require('./helpers/server');
+
+const CLI = path.resolve(__dirname, '..', 'server', 'cli', 'normalize-events.js');
+
+function runCli(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { timeout: 10000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+function createTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'normalize-events-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function legacySummary(properties) {
+    return createEvent({
+        event_name: 'video_session_complete',
+        properties: { total_watch_time_seconds: 30, video_duration: 30, watch_percentage: 100, milestones_reached: [25, 50, 75, 100], video_type: 'feed_video', ...properties }
+    });
+}
+
+test('legacy events are rewritten in the current vocabulary', () => {
+    const normalized = normalizeEvent(legacySummary({ watch_percentage: 104, milestones_reached: '50,25' }));
+
+    assert.strictEqual(normalized.event_name, 'feed_video_summary');
+    assert.strictEqual(normalized.normalization_version, 2);
+    assert.deepStrictEqual(normalized.properties, {
+        total_watch_time_seconds: 30, video_duration: 30, completion_rate: 100, milestones_reached: [25, 50], condition: 'feed_video'
+    });
+    assert.deepStrictEqual(normalized.normalized_from, {
+        event_name: 'video_session_complete',
+        properties: { watch_percentage: 104, video_type: 'feed_video', milestones_reached: '50,25' }
+    });
+});
+
+test('a zero-length legacy summary gets completion_rate 0', () => {
+    const normalized = normalizeEvent(legacySummary({ total_watch_time_seconds: 0, video_duration: 0, watch_percentage: null }));
+
+    assert.strictEqual(normalized.properties.completion_rate, 0);
+    assert.deepStrictEqual(normalized.normalized_from.properties.watch_percentage, null);
+});
+
+test('the CLI skips and counts lines it cannot read, and writes the rest', async t => {
+    const dir = createTempDir(t);
+    const inputPath = path.join(dir, 'events.jsonl');
+    const outPath = path.join(dir, 'normalized.jsonl');
+    fs.writeFileSync(inputPath, [
+        JSON.stringify(legacySummary()),
+        '{"event_name": "video_pla',
+        'null',
+        JSON.stringify(createEvent()),
+        ''
+    ].join('\n'));
+
+    const { code, stderr } = await runCli([inputPath, '--out', outPath]);
+
+    assert.strictEqual(code, 0);
+    assert.match(stderr, /Line 2 is not valid JSON, skipped/);
+    assert.match(stderr, /Line 3 is not an event with an event_name, skipped/);
+    assert.match(stderr, /Normalized 2 events \(1 changed, 1 invalid JSON lines and 1 non-events skipped\)/);
+    const written = fs.readFileSync(outPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(written.map(event => event.event_name), ['feed_video_summary', 'page_view']);
+    assert.ok(!fs.existsSync(`${outPath}.partial`));
+});
+
+test('a CLI run that fails leaves no output file behind', async t => {
+    const dir = createTempDir(t);
+    const outPath = path.join(dir, 'normalized.jsonl');
+
+    // A directory cannot be read as JSONL
+    const { code } = await runCli([dir, '--out', outPath]);
+
+    assert.strictEqual(code, 1);
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
+
+test('legacy summaries count towards the quota like feed_video_summary, unless nothing was watched', async t => {
+    const { request, store, config } = await startServer(t, { QUOTA_TARGETS: 'feed_video:10' });
+
+    const zeroLength = legacySummary({ total_watch_time_seconds: 0, video_duration: 0, watch_percentage: null });
+    assert.strictEqual((await request('POST', '/api/track', zeroLength)).body.inserted_count, 1);
+    assert.strictEqual((await request('GET', '/api/quota?condition=feed_video')).body.completed, 0);
+
+    const watched = legacySummary({ participant_id: 'participant_2' });
+    assert.strictEqual((await request('POST', '/api/track', watched)).body.inserted_count, 1);
+    assert.strictEqual((await request('GET', '/api/quota?condition=feed_video')).body.completed, 1);
+
+    const stored = await store.collection(config.eventsCollection).find({ event_id: zeroLength.event_id });
+    assert.strictEqual(stored[0].properties.completion_rate, 0);
+});
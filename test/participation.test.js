@@ -0,0 +1,146 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../server/config');
+const { createStore } = require('../server/storage');
+const { createQuotaService } = require('../server/lib/quota');
+const { createSessionLookup } = require('../server/lib/sessions');
+const { createParticipantRegistry } = require('../server/lib/participant-registry');
+const { startServer } = require('./helpers/server');
+
+const MINUTE = 60 * 1000;
+
+function createRegistry(env = {}) {
+    const config = loadConfig({ STORAGE_ADAPTER: 'memory', PARTICIPATION_RESUME_WINDOW_MINUTES: '30', ...env });
+    const store = createStore(config.storage);
+    const quotaService = createQuotaService({ store, config });
+    const registry = createParticipantRegistry({
+        store, config, quotaService, sessionLookup: createSessionLookup({ store, config })
+    });
+    return { config, store, quotaService, registry };
+}
+
+/**
+ * Register an earlier check-in as if it happened minutesAgo
+ */
+async function checkedInEarlier({ store, config }, sessionId, minutesAgo, studyType = 'feed_video') {
+    await store.collection(config.participation.collection).insertMany([{
+        participant_id: 'participant_1',
+        study_type: studyType,
+        session_id: sessionId,
+        allowed: true,
+        status: 'new',
+        reason: null,
+        checked_in_at: new Date(Date.now() - minutesAgo * MINUTE).toISOString()
+    }]);
+}
+
+function checkIn(registry, sessionId, studyType = 'feed_video') {
+    return registry.checkIn({ participantId: 'participant_1', studyType, sessionId });
+}
+
+test('a new session soon after an unfinished one resumes; a later one is a repeat', async () => {
+    const recent = createRegistry();
+    await checkedInEarlier(recent, 'session_1', 10);
+    assert.strictEqual((await checkIn(recent.registry, 'session_2')).status, 'resumed');
+
+    const late = createRegistry();
+    await checkedInEarlier(late, 'session_1', 90);
+    assert.deepStrictEqual(await checkIn(late.registry, 'session_2'), { allowed: false, status: 'blocked', reason: 'repeat' });
+
+    const lateAllowed = createRegistry({ PARTICIPATION_BLOCK_REPEAT: 'false' });
+    await checkedInEarlier(lateAllowed, 'session_1', 90);
+    assert.deepStrictEqual(await checkIn(lateAllowed.registry, 'session_2'), { allowed: true, status: 'repeat', reason: null });
+});
+
+test('the resume window runs from the participant\'s last event, not only the check-in', async () => {
+    const context = createRegistry();
+    await checkedInEarlier(context, 'session_1', 90);
+    // Watched for over an hour, then closed the tab five minutes ago
+    await context.store.collection(context.config.eventsCollection).insertMany([{
+        event_id: 'event_1',
+        event_name: 'feed_video_progress',
+        participant_id: 'participant_1',
+        study_type: 'feed_video',
+        session_id: 'session_1',
+        properties: {},
+        timestamp: new Date(Date.now() - 5 * MINUTE).toISOString()
+    }]);
+
+    assert.strictEqual((await checkIn(context.registry, 'session_2')).status, 'resumed');
+});
+
+test('a reload of a session already let in resumes whenever it comes', async () => {
+    const context = createRegistry();
+    await checkedInEarlier(context, 'session_1', 90);
+
+    assert.deepStrictEqual(await checkIn(context.registry, 'session_1'), { allowed: true, status: 'resumed', reason: null });
+});
+
+test('a participant who completed cannot start over, even within the window', async () => {
+    const context = createRegistry();
+    await checkedInEarlier(context, 'session_1', 5);
+    await context.quotaService.recordCompletions([{
+        event_id: 'summary_1',
+        event_name: 'feed_video_summary',
+        participant_id: 'participant_1',
+        study_type: 'feed_video',
+        session_id: 'session_1',
+        properties: { total_watch_time_seconds: 30, completion_rate: 100, condition: 'feed_video' }
+    }]);
+
+    assert.deepStrictEqual(await checkIn(context.registry, 'session_2'), { allowed: false, status: 'blocked', reason: 'repeat' });
+});
+
+test('a window of 0 lets no new session resume', async () => {
+    const context = createRegistry({ PARTICIPATION_RESUME_WINDOW_MINUTES: '0' });
+    await checkedInEarlier(context, 'session_1', 1);
+
+    assert.strictEqual((await checkIn(context.registry, 'session_2')).status, 'blocked');
+    assert.strictEqual((await checkIn(context.registry, 'session_1')).status, 'resumed');
+});
+
+test('a participant of one study type is turned away from another', async () => {
+    const context = createRegistry();
+    await checkedInEarlier(context, 'session_1', 5, 'reel_video');
+
+    assert.deepStrictEqual(await checkIn(context.registry, 'session_2'), {
+        allowed: false, status: 'blocked', reason: 'cross_study', previous_study_type: 'reel_video'
+    });
+
+    const open = createRegistry({ PARTICIPATION_BLOCK_CROSS_STUDY: 'false' });
+    await checkedInEarlier(open, 'session_1', 5, 'reel_video');
+    assert.deepStrictEqual(await checkIn(open.registry, 'session_2'), { allowed: true, status: 'cross_study', reason: null });
+});
+
+test('without resumption, any new session of the same study is a repeat', async () => {
+    const context = createRegistry({ PARTICIPATION_ALLOW_RESUME: 'false' });
+    await checkedInEarlier(context, 'session_1', 1);
+
+    assert.strictEqual((await checkIn(context.registry, 'session_1')).status, 'blocked');
+    assert.strictEqual((await checkIn(context.registry, 'session_2')).reason, 'repeat');
+});
+
+test('turned-away check-ins are recorded, but do not count as taking part', async () => {
+    const context = createRegistry();
+    await checkedInEarlier(context, 'session_1', 5, 'reel_video');
+    await checkIn(context.registry, 'session_2');
+
+    const recorded = await context.store.collection(context.config.participation.collection).find({ participant_id: 'participant_1' });
+    assert.deepStrictEqual(recorded.map(checkInDoc => [checkInDoc.study_type, checkInDoc.allowed]), [['reel_video', true], ['feed_video', false]]);
+    // The blocked feed check-in does not make the reel study a cross-study visit
+    assert.strictEqual((await checkIn(context.registry, 'session_1', 'reel_video')).status, 'resumed');
+});
+
+test('POST /api/participants/check-in answers with the decision for the raw ID', async t => {
+    const { request } = await startServer(t, { PSEUDONYMIZE_PARTICIPANT_IDS: 'true', PSEUDONYM_KEY: 'test-key' });
+    const body = { participant_id: ' participant_1 ', study_type: 'feed_video', session_id: 'session_1' };
+
+    const first = await request('POST', '/api/participants/check-in', body);
+    const other = await request('POST', '/api/participants/check-in', { ...body, study_type: 'reel_video', session_id: 'session_2' });
+
+    assert.deepStrictEqual(first.body, { success: true, participant_id: 'participant_1', allowed: true, status: 'new', reason: null });
+    assert.strictEqual(other.body.reason, 'cross_study');
+    assert.strictEqual((await request('POST', '/api/participants/check-in', { participant_id: 'participant_1' })).status, 400);
+});
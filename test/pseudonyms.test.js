@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../server/config');
+const { createStore } = require('../server/storage');
+const { createPseudonymizer } = require('../server/lib/pseudonyms');
+const { startServer, createEvent } = require('./helpers/server');
+
+const PROLIFIC_ID = '5f1a2b3c4d5e6f7a8b9c0d1e';
+const ENV = { PSEUDONYMIZE_PARTICIPANT_IDS: 'true', PSEUDONYM_KEY: 'test-key', PSEUDONYM_SALT: 'feed-study' };
+
+function createPseudonyms(env = ENV) {
+    const config = loadConfig({ STORAGE_ADAPTER: 'memory', ...env });
+    return createPseudonymizer({ store: createStore(config.storage), config });
+}
+
+test('pseudonyms are stable per key and salt, and differ across studies', () => {
+    const pseudonyms = createPseudonyms();
+    const pseudonym = pseudonyms.pseudonymize(PROLIFIC_ID);
+
+    assert.match(pseudonym, /^pid_[0-9a-f]{32}$/);
+    assert.strictEqual(createPseudonyms().pseudonymize(PROLIFIC_ID), pseudonym);
+    assert.notStrictEqual(createPseudonyms({ ...ENV, PSEUDONYM_SALT: 'reel-study' }).pseudonymize(PROLIFIC_ID), pseudonym);
+    assert.strictEqual(createPseudonyms({}).pseudonymize(PROLIFIC_ID), PROLIFIC_ID, 'off by default');
+});
+
+test('pseudonymization needs a key', () => {
+    assert.throws(() => createPseudonyms({ PSEUDONYMIZE_PARTICIPANT_IDS: 'true' }), /needs PSEUDONYM_KEY/);
+});
+
+test('every copy of the ID in an event is replaced, URL-encoded ones included', () => {
+    const pseudonyms = createPseudonyms();
+    const pseudonym = pseudonyms.pseudonymize(PROLIFIC_ID);
+    const event = createEvent({
+        participant_id: PROLIFIC_ID,
+        url_params: { PROLIFIC_PID: PROLIFIC_ID },
+        page_url: `http://localhost:3000/?PROLIFIC_PID=${PROLIFIC_ID}`,
+        properties: { participant_id: PROLIFIC_ID, return_url: `https://survey.example/?pid=${PROLIFIC_ID}`, nested: [{ id: PROLIFIC_ID }] }
+    });
+
+    const scrubbed = pseudonyms.pseudonymizeEvent(event);
+
+    assert.ok(!JSON.stringify(scrubbed).includes(PROLIFIC_ID));
+    assert.strictEqual(scrubbed.participant_id, pseudonym);
+    assert.strictEqual(scrubbed.properties.nested[0].id, pseudonym);
+    assert.strictEqual(event.participant_id, PROLIFIC_ID, 'the original is left alone');
+
+    const spaced = pseudonyms.pseudonymizeEvent(createEvent({ participant_id: 'pilot user 7', page_url: 'http://localhost:3000/?PROLIFIC_PID=pilot%20user%207' }));
+    assert.ok(!spaced.page_url.includes('pilot'));
+});
+
+test('a short pilot ID is only replaced where a value equals it', () => {
+    const pseudonyms = createPseudonyms();
+    const scrubbed = pseudonyms.pseudonymizeEvent(createEvent({ participant_id: 'T1', properties: { cta_type: 'T1', label: 'T1 button' } }));
+
+    assert.strictEqual(scrubbed.properties.cta_type, pseudonyms.pseudonymize('T1'));
+    assert.strictEqual(scrubbed.properties.label, 'T1 button');
+});
+
+test('the API stores only pseudonyms, keeps one mapping per participant and answers lookups by raw ID', async t => {
+    const { request, store, config } = await startServer(t, ENV);
+    const event = createEvent({ participant_id: PROLIFIC_ID, url_params: { PROLIFIC_PID: PROLIFIC_ID } });
+
+    await request('POST', '/api/track', event);
+    await request('POST', '/api/track/batch', { events: [createEvent({ participant_id: PROLIFIC_ID })] });
+    const analytics = await request('POST', '/api/participants/pseudonym', { participant_id: PROLIFIC_ID });
+
+    const stored = await store.collection(config.eventsCollection).find();
+    assert.strictEqual(stored.length, 2);
+    assert.ok(!JSON.stringify(stored).includes(PROLIFIC_ID));
+    assert.deepStrictEqual(analytics.body, { success: true, pseudonymized: true, analytics_id: stored[0].participant_id });
+    const mappings = await store.collection(config.pseudonyms.collection).find();
+    assert.deepStrictEqual(mappings.map(mapping => [mapping.pseudonym, mapping.participant_id]), [[stored[0].participant_id, PROLIFIC_ID]]);
+});
+
+test('GET /api/admin/pseudonyms resolves a pseudonym for payment, and is refused when IDs are raw', async t => {
+    const admin = { Authorization: 'Bearer admin-secret' };
+    const { request } = await startServer(t, { ...ENV, ADMIN_API_TOKEN: 'admin-secret' });
+    const { body } = await request('POST', '/api/participants/pseudonym', { participant_id: PROLIFIC_ID });
+
+    const found = await request('GET', `/api/admin/pseudonyms?pseudonym=${body.analytics_id}`, undefined, admin);
+    assert.deepStrictEqual(found.body.mappings.map(mapping => mapping.participant_id), [PROLIFIC_ID]);
+
+    const raw = await startServer(t, { ADMIN_API_TOKEN: 'admin-secret' });
+    assert.strictEqual((await raw.request('GET', '/api/admin/pseudonyms', undefined, admin)).status, 409);
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../server/config');
+const { createStore } = require('../server/storage');
+const { createQuotaService, parseTargets } = require('../server/lib/quota');
+const { startServer, createEvent } = require('./helpers/server');
+const { createBrowser } = require('./helpers/browser');
+
+const PROLIFIC_ID = '5f1a2b3c4d5e6f7a8b9c0d1e';
+
+function summary(participantId, properties = {}) {
+    return createEvent({
+        event_name: 'feed_video_summary',
+        participant_id: participantId,
+        properties: {
+            total_watch_time_seconds: 31, video_duration: 30.5, completion_rate: 100, play_count: 1,
+            completion_count: 1, milestones_reached: [25, 50, 75, 100], max_progress_reached: 30,
+            flush_reason: 'return_to_survey', session_resumed: false, resume_count: 0, condition: 'feed_video',
+            ...properties
+        }
+    });
+}
+
+test('quota targets are read per condition; malformed entries are ignored', () => {
+    assert.deepStrictEqual(parseTargets('feed_video:150, reel_video : 0,reel_carousel,feed_carousel:-1,:5'), { feed_video: 150, reel_video: 0 });
+    assert.deepStrictEqual(parseTargets(undefined), {});
+});
+
+test('a summary counts once it meets both thresholds, and each participant counts once', async () => {
+    const config = loadConfig({ STORAGE_ADAPTER: 'memory', QUOTA_TARGETS: 'feed_video:2', QUOTA_MIN_WATCH_SECONDS: '20', QUOTA_MIN_COMPLETION_RATE: '90' });
+    const quota = createQuotaService({ store: createStore(config.storage), config });
+
+    assert.strictEqual(await quota.recordCompletions([
+        summary('participant_1', { total_watch_time_seconds: 10 }),
+        summary('participant_2', { completion_rate: 75 }),
+        createEvent({ participant_id: 'participant_3' })
+    ]), 0);
+    assert.strictEqual(await quota.recordCompletions([summary('participant_1'), summary('participant_1')]), 1);
+
+    assert.deepStrictEqual(await quota.getStatus('feed_video', 'participant_1'), {
+        condition: 'feed_video', target: 2, completed: 1, remaining: 1, is_full: false, participant_completed: true
+    });
+    await quota.recordCompletions([summary('participant_2')]);
+    assert.strictEqual((await quota.getStatus('feed_video')).is_full, true);
+    assert.deepStrictEqual(await quota.getStatus('reel_video'), {
+        condition: 'reel_video', target: null, completed: 0, remaining: null, is_full: false
+    });
+});
+
+test('GET /api/quota reports completions recorded from tracked summaries', async t => {
+    const { request } = await startServer(t, { QUOTA_TARGETS: 'feed_video:1,reel_video:5' });
+
+    await request('POST', '/api/track/batch', { events: [summary('participant_1')] });
+
+    const all = await request('GET', '/api/quota');
+    assert.deepStrictEqual(Object.keys(all.body.quotas), ['feed_video', 'reel_video']);
+    assert.strictEqual(all.body.quotas.feed_video.is_full, true);
+    const own = await request('GET', '/api/quota?condition=feed_video&participant_id=participant_1');
+    assert.strictEqual(own.body.participant_completed, true);
+});
+
+function createQuotaPage(quotaStatus) {
+    const tracked = [];
+    const browser = createBrowser({
+        url: `http://localhost:3000/?PROLIFIC_ID=${PROLIFIC_ID}`,
+        routes: { 'GET /api/quota': () => (quotaStatus.status ? quotaStatus : { success: true, ...quotaStatus }) },
+        globals: { Tracking: { track: (name, properties) => tracked.push({ name, properties }) } }
+    });
+    browser.load('js/mongo-tracker-base.js', 'js/study-quota.js');
+    browser.window.StudyQuota.configure({ enabled: true });
+    browser.window.MongoTracker.initialize('feed_video');
+    return { browser, tracked };
+}
+
+test('the page turns new participants away from a full condition', async () => {
+    const { browser, tracked } = createQuotaPage({ condition: 'feed_video', target: 1, completed: 1, is_full: true, participant_completed: false });
+    const quota = browser.window.StudyQuota;
+    assert.strictEqual(quota.canStart(), false, 'not before the check has answered');
+
+    await quota.ready;
+
+    assert.strictEqual(quota.isFull(), true);
+    assert.strictEqual(quota.canStart(), false);
+    assert.deepStrictEqual(tracked.map(event => event.name), ['study_full_shown']);
+    const request = browser.requests.find(sent => sent.path === '/api/quota');
+    assert.strictEqual(request.url.searchParams.get('participant_id'), PROLIFIC_ID);
+});
+
+test('a participant who already completed, or an API that cannot answer, is let through', async () => {
+    const completed = createQuotaPage({ condition: 'feed_video', target: 1, completed: 1, is_full: true, participant_completed: true });
+    await completed.browser.window.StudyQuota.ready;
+    assert.strictEqual(completed.browser.window.StudyQuota.canStart(), true);
+
+    const unreachable = createQuotaPage({ status: 503, body: { success: false } });
+    await unreachable.browser.window.StudyQuota.ready;
+    assert.strictEqual(unreachable.browser.window.StudyQuota.canStart(), true);
+    assert.deepStrictEqual(unreachable.tracked, []);
+});
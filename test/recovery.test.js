@@ -0,0 +1,160 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, wait } = require('./helpers/browser');
+const { startServer, createEvent } = require('./helpers/server');
+
+const PROLIFIC_ID = '5f1a2b3c4d5e6f7a8b9c0d1e';
+
+test('a resumed session replays what the previous load left undelivered', async () => {
+    const sessionId = 'session_1_previous';
+    const leftOver = {
+        event_id: 'left-over-summary',
+        sequence: 7,
+        event_name: 'feed_video_summary',
+        participant_id: PROLIFIC_ID,
+        study_type: 'feed_video',
+        session_id: sessionId,
+        properties: { total_watch_time_seconds: 30 },
+        page_url: 'http://localhost:3000/',
+        timestamp: new Date(Date.now() - 60000).toISOString()
+    };
+    const persisted = [leftOver];
+    const browser = createBrowser({
+        url: `http://localhost:3000/?PROLIFIC_ID=${PROLIFIC_ID}`,
+        globals: {
+            MongoTrackerQueueStore: {
+                put: async events => events.forEach(event => persisted.push(event)),
+                remove: async () => {},
+                getAll: async () => persisted.slice()
+            }
+        }
+    });
+    browser.window.localStorage.setItem('mongo_tracker_session', JSON.stringify({
+        participant_id: PROLIFIC_ID,
+        study_type: 'feed_video',
+        session_id: sessionId,
+        resume_count: 0,
+        last_sequence: 7,
+        last_active_at: Date.now() - 60000,
+        state: {}
+    }));
+    browser.load('js/mongo-tracker-base.js');
+    browser.window.MongoTracker.sessionResumeWindow = 30 * 60 * 1000;
+
+    await browser.window.MongoTracker.initialize('feed_video');
+    await wait(10);
+    assert.strictEqual(browser.window.MongoTracker.sessionId, sessionId);
+
+    await browser.window.MongoTracker.flush({ reason: 'test', timeout: 500 });
+    const events = browser.postedEvents();
+    assert.strictEqual(events.filter(event => event.event_id === leftOver.event_id).length, 1);
+
+    // This load's own events are persisted too, but are not replayed as recovered
+    const recoveredReport = events.find(event => event.event_name === 'event_queue_recovered');
+    assert.strictEqual(recoveredReport.properties.recovered_count, 1);
+});
+
+test('events another participant left in this browser are not replayed under this page load', async () => {
+    const foreign = {
+        event_id: 'other-participant-event',
+        sequence: 3,
+        event_name: 'page_view',
+        participant_id: '60aa00bb11cc22dd33ee44ff',
+        study_type: 'feed_video',
+        session_id: 'session_other',
+        properties: { page_title: 'Feed', referrer: null },
+        page_url: 'http://localhost:3000/',
+        timestamp: new Date(Date.now() - 60000).toISOString()
+    };
+    const otherStudy = Object.assign({}, foreign, {
+        event_id: 'same-participant-other-study',
+        participant_id: PROLIFIC_ID,
+        study_type: 'reel_video'
+    });
+    const persisted = new Map([[foreign.event_id, foreign], [otherStudy.event_id, otherStudy]]);
+    const browser = createBrowser({
+        url: `http://localhost:3000/?PROLIFIC_ID=${PROLIFIC_ID}`,
+        globals: {
+            MongoTrackerQueueStore: {
+                put: async events => events.forEach(event => persisted.set(event.event_id, event)),
+                remove: async ids => ids.forEach(id => persisted.delete(id)),
+                getAll: async () => Array.from(persisted.values())
+            }
+        }
+    });
+    browser.load('js/mongo-tracker-base.js');
+
+    await browser.window.MongoTracker.initialize('feed_video');
+    await wait(10);
+    await browser.window.MongoTracker.flush({ reason: 'test', timeout: 500 });
+
+    const events = browser.postedEvents();
+    assert.ok(!events.some(event => event.event_id === foreign.event_id));
+    assert.ok(!events.some(event => event.event_id === otherStudy.event_id));
+    assert.ok(!events.some(event => event.event_name === 'event_queue_recovered'));
+    assert.ok(persisted.has(foreign.event_id), 'kept for when that participant comes back');
+    assert.ok(persisted.has(otherStudy.event_id));
+});
+
+test('the tracker authorises its session lookup and re-signs a resumed session', async () => {
+    const issued = [];
+    const browser = createBrowser({
+        url: `http://localhost:3000/?PROLIFIC_ID=${PROLIFIC_ID}`,
+        routes: {
+            'POST /api/sessions/token': body => {
+                issued.push(body.session_id);
+                return { token: `token-for-${body.session_id}`, expires_at: new Date(Date.now() + 3600000).toISOString() };
+            },
+            'GET /api/sessions/latest': () => ({
+                session: { session_id: 'session_server', last_event_at: new Date().toISOString(), last_sequence: 4, resume_count: 0, last_summary: null }
+            })
+        }
+    });
+    browser.load('js/mongo-tracker-base.js');
+    const tracker = browser.window.MongoTracker;
+    tracker.sessionResumeWindow = 30 * 60 * 1000;
+    tracker.participationCheck = true;
+
+    await tracker.initialize('feed_video');
+
+    const newSessionId = issued[0];
+    assert.notStrictEqual(newSessionId, 'session_server');
+    const lookup = browser.requests.find(request => request.path === '/api/sessions/latest');
+    assert.strictEqual(lookup.url.searchParams.get('session_token'), `token-for-${newSessionId}`);
+    assert.deepStrictEqual(issued, [newSessionId, 'session_server']);
+    assert.strictEqual(tracker.sessionToken, 'token-for-session_server');
+    const checkIn = browser.requests.find(request => request.path === '/api/participants/check-in');
+    assert.strictEqual(checkIn.body.session_token, 'token-for-session_server');
+});
+
+test('GET /api/sessions/latest rebuilds the participant\'s latest session from stored events', async t => {
+    const { request } = await startServer(t);
+    const at = minutesAgo => new Date(Date.now() - minutesAgo * 60000).toISOString();
+    await request('POST', '/api/track/batch', {
+        events: [
+            createEvent({ participant_id: PROLIFIC_ID, session_id: 'session_old', sequence: 9, timestamp: at(90) }),
+            createEvent({ participant_id: PROLIFIC_ID, session_id: 'session_new', sequence: 1, timestamp: at(20) }),
+            createEvent({
+                participant_id: PROLIFIC_ID, session_id: 'session_new', sequence: 4, timestamp: at(10), event_name: 'feed_video_summary',
+                properties: {
+                    total_watch_time_seconds: 12, video_duration: 30, completion_rate: 40, play_count: 1, completion_count: 0,
+                    milestones_reached: [25], max_progress_reached: 12, flush_reason: 'pagehide', session_resumed: true,
+                    resume_count: 1, condition: 'feed_video'
+                }
+            }),
+            createEvent({ participant_id: PROLIFIC_ID, session_id: 'session_reel', study_type: 'reel_video', timestamp: at(1) })
+        ]
+    });
+
+    const { body } = await request('GET', `/api/sessions/latest?participant_id=${PROLIFIC_ID}&study_type=feed_video`);
+
+    assert.strictEqual(body.session.session_id, 'session_new');
+    assert.strictEqual(body.session.last_sequence, 4);
+    assert.strictEqual(body.session.resume_count, 1);
+    assert.strictEqual(body.session.last_summary.total_watch_time_seconds, 12);
+    const none = await request('GET', '/api/sessions/latest?participant_id=someone_else&study_type=feed_video');
+    assert.strictEqual(none.body.session, null);
+    assert.strictEqual((await request('GET', '/api/sessions/latest?participant_id=x')).status, 400);
+});
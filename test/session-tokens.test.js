@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { loadConfig } = require('../server/config');
+const { createStore } = require('../server/storage');
+const { createApp } = require('../server/app');
+const { createSessionTokens } = require('../server/lib/session-tokens');
+const { startServer } = require('./helpers/server');
+
+const HOUR = 60 * 60 * 1000;
+const ENV = {
+    STORAGE_ADAPTER: 'memory',
+    SESSION_TOKEN_MODE: 'quarantine',
+    SESSION_TOKEN_SECRET: 'test-secret',
+    SESSION_TOKEN_TTL_MINUTES: '120',
+    SESSION_TOKEN_REPLAY_GRACE_HOURS: '24'
+};
+
+function createEvent(token, timestamp) {
+    return {
+        event_id: 'event-' + timestamp,
+        sequence: 1,
+        event_name: 'page_view',
+        participant_id: 'participant_1',
+        study_type: 'feed_video',
+        session_id: 'session_1',
+        properties: { page_title: 'Feed', referrer: null },
+        page_url: 'http://localhost:3000/',
+        timestamp: new Date(timestamp).toISOString(),
+        session_token: token
+    };
+}
+
+test('an event created before its token expired still verifies when replayed later', t => {
+    const tokens = createSessionTokens(loadConfig(ENV));
+    const issuedAt = Date.now();
+    const { token } = tokens.issue({ participantId: 'participant_1', sessionId: 'session_1', studyType: 'feed_video' });
+    const createdInTime = createEvent(token, issuedAt + HOUR);
+    const createdLate = createEvent(token, issuedAt + 3 * HOUR);
+
+    t.mock.method(Date, 'now', () => issuedAt + 5 * HOUR);
+    assert.strictEqual(tokens.verify(createdInTime), null);
+    assert.strictEqual(tokens.verify(createdLate), 'expired_token');
+
+    t.mock.method(Date, 'now', () => issuedAt + 2 * HOUR + 25 * HOUR);
+    assert.strictEqual(tokens.verify(createdInTime), 'expired_token');
+});
+
+test('a replayed batch past the token lifetime is stored, not quarantined', async t => {
+    const config = loadConfig(ENV);
+    config.staticDir = null;
+    const store = createStore(config.storage);
+    const server = http.createServer(createApp({ store, config }));
+    await new Promise(resolve => server.listen(0, resolve));
+    t.after(() => server.close());
+    const base = `http://localhost:${server.address().port}/api`;
+
+    const issued = await fetch(`${base}/sessions/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ participant_id: 'participant_1', session_id: 'session_1', study_type: 'feed_video' })
+    }).then(response => response.json());
+    const issuedAt = Date.now();
+    const event = createEvent(issued.token, issuedAt);
+
+    // The tab was closed and the event is recovered from the durable queue three hours later
+    const realNow = Date.now;
+    t.mock.method(Date, 'now', () => realNow() + 3 * HOUR);
+    const response = await fetch(`${base}/track/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events: [event] })
+    });
+    assert.strictEqual(response.status, 200);
+
+    assert.strictEqual(await store.collection(config.eventsCollection).count(), 1);
+    assert.strictEqual(await store.collection(config.quarantineCollection).count(), 0);
+});
+
+test('lookups about a participant need a token for that participant', async t => {
+    const { request } = await startServer(t, ENV);
+    const issue = participantId => request('POST', '/api/sessions/token', {
+        participant_id: participantId, session_id: 'session_1', study_type: 'feed_video'
+    }).then(response => response.body.token);
+    const own = await issue('participant_1');
+    const someoneElse = await issue('participant_2');
+    const lookups = token => [
+        request('GET', `/api/sessions/latest?participant_id=participant_1&study_type=feed_video&session_token=${token}`),
+        request('GET', `/api/quota?condition=feed_video&participant_id=participant_1&session_token=${token}`),
+        request('POST', '/api/participants/check-in', {
+            participant_id: 'participant_1', study_type: 'feed_video', session_id: 'session_1', session_token: token
+        })
+    ];
+
+    const missing = await Promise.all(lookups(''));
+    missing.forEach(response => assert.deepStrictEqual([response.status, response.body.details], [401, ['missing_token']]));
+    const forged = await Promise.all(lookups(someoneElse));
+    forged.forEach(response => assert.deepStrictEqual([response.status, response.body.details], [401, ['participant_mismatch']]));
+    const allowed = await Promise.all(lookups(own));
+    allowed.forEach(response => assert.strictEqual(response.status, 200));
+
+    // Counts for the whole condition say nothing about a participant
+    assert.strictEqual((await request('GET', '/api/quota?condition=feed_video')).status, 200);
+});
+
+test('an expired token does not authorise lookups, even within the replay grace', t => {
+    const tokens = createSessionTokens(loadConfig(ENV));
+    const issuedAt = Date.now();
+    const { token } = tokens.issue({ participantId: 'participant_1', sessionId: 'session_1', studyType: 'feed_video' });
+
+    assert.strictEqual(tokens.verifyParticipant(token, 'participant_1'), null);
+    t.mock.method(Date, 'now', () => issuedAt + 3 * HOUR);
+    assert.strictEqual(tokens.verifyParticipant(token, 'participant_1'), 'expired_token');
+});
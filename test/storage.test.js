@@ -0,0 +1,169 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const { createStore } = require('../server/storage');
+const { createMongoAdapter } = require('../server/storage/mongo-adapter');
+
+/**
+ * A fresh store of each adapter that runs here (mongo needs a server)
+ */
+const ADAPTERS = {
+    memory: () => createStore({ adapter: 'memory' }),
+    jsonl: t => createStore({ adapter: 'jsonl', dataDir: createTempDir(t) })
+};
+
+function createTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Stand-in for the mongodb driver (not installed here); createIndex answers
+ * from the results given, in order
+ */
+function useFakeDriver(t, indexResults) {
+    const calls = { createIndex: 0, insertMany: 0 };
+    const collection = {
+        createIndex: async () => {
+            const result = indexResults[calls.createIndex++];
+            if (result instanceof Error) throw result;
+            return result;
+        },
+        insertMany: async docs => {
+            calls.insertMany++;
+            return { insertedCount: docs.length };
+        }
+    };
+    class MongoClient {
+        async connect() {}
+        db() {
+            return { collection: () => collection };
+        }
+    }
+    const load = Module._load;
+    t.mock.method(Module, '_load', function (request, ...args) {
+        return request === 'mongodb' ? { MongoClient } : load.call(this, request, ...args);
+    });
+    return calls;
+}
+
+test('the mongo adapter tries the unique index again after it failed to build', async t => {
+    const calls = useFakeDriver(t, [new Error('connection reset'), 'event_id_1']);
+    const events = createMongoAdapter({ mongoUri: 'mongodb://localhost:27017', mongoDb: 'test' }).collection('events');
+
+    await assert.rejects(events.insertMany([{ event_id: 'a' }], { uniqueKey: 'event_id' }), /connection reset/);
+    assert.strictEqual(await events.insertMany([{ event_id: 'a' }], { uniqueKey: 'event_id' }), 1);
+    assert.strictEqual(await events.insertMany([{ event_id: 'b' }], { uniqueKey: 'event_id' }), 1);
+
+    assert.strictEqual(calls.createIndex, 2);
+    assert.strictEqual(calls.insertMany, 2);
+});
+
+Object.entries(ADAPTERS).forEach(([adapter, createAdapter]) => {
+    test(`${adapter}: finds and counts documents by equality, ignoring undefined filter values`, async t => {
+        const events = createAdapter(t).collection('events');
+        await events.insertMany([
+            { event_id: 'a', participant_id: 'p1', session_id: 's1' },
+            { event_id: 'b', participant_id: 'p1', session_id: 's2' },
+            { event_id: 'c', participant_id: 'p2', session_id: 's3' }
+        ]);
+
+        assert.deepStrictEqual((await events.find({ participant_id: 'p1' })).map(doc => doc.event_id), ['a', 'b']);
+        assert.deepStrictEqual((await events.find({ participant_id: 'p1', session_id: undefined }, { limit: 1 })).map(doc => doc.event_id), ['a']);
+        assert.strictEqual(await events.count({ participant_id: 'p2' }), 1);
+        assert.strictEqual(await events.count(), 3);
+        assert.deepStrictEqual(await createAdapter(t).collection('empty').find(), []);
+    });
+
+    test(`${adapter}: deletes only what the filter targets, and never everything`, async t => {
+        const events = createAdapter(t).collection('events');
+        await events.insertMany([{ event_id: 'a', participant_id: 'p1' }, { event_id: 'b', participant_id: 'p2' }]);
+
+        assert.strictEqual(await events.deleteMany({ participant_id: 'p1' }), 1);
+        await assert.rejects(events.deleteMany({ participant_id: undefined }), /at least one defined value/);
+        assert.deepStrictEqual((await events.find()).map(doc => doc.event_id), ['b']);
+    });
+
+    test(`${adapter}: returned documents are copies`, async t => {
+        const events = createAdapter(t).collection('events');
+        const doc = { event_id: 'a', properties: {} };
+        await events.insertMany([doc]);
+        doc.event_id = 'changed';
+        (await events.find())[0].event_id = 'changed too';
+
+        assert.deepStrictEqual((await events.find()).map(found => found.event_id), ['a']);
+    });
+});
+
+test('jsonl: documents outlive the adapter, and a line cut off by a crash is skipped', async t => {
+    const dataDir = createTempDir(t);
+    await createStore({ adapter: 'jsonl', dataDir }).collection('events').insertMany([{ event_id: 'a' }, { event_id: 'b' }]);
+    fs.appendFileSync(path.join(dataDir, 'events.jsonl'), '{"event_id":"c","partic');
+
+    const events = createStore({ adapter: 'jsonl', dataDir }).collection('events');
+
+    assert.deepStrictEqual((await events.find()).map(doc => doc.event_id), ['a', 'b']);
+});
+
+test('createStore names the adapters it knows when given another', () => {
+    assert.throws(() => createStore({ adapter: 'sqlite' }), /Unknown storage adapter "sqlite" \(expected one of: memory, jsonl, mongo\)/);
+});
+
+test('jsonl: the unique index is loaded again after a failed read', async t => {
+    const dataDir = createTempDir(t);
+    const filePath = path.join(dataDir, 'events.jsonl');
+    // Something in the way of the collection file (readFile fails with EISDIR)
+    fs.mkdirSync(filePath);
+    const events = createStore({ adapter: 'jsonl', dataDir }).collection('events');
+
+    await assert.rejects(events.insertMany([{ event_id: 'a' }], { uniqueKey: 'event_id' }), { code: 'EISDIR' });
+    fs.rmdirSync(filePath);
+
+    assert.strictEqual(await events.insertMany([{ event_id: 'a' }], { uniqueKey: 'event_id' }), 1);
+    assert.strictEqual(await events.insertMany([{ event_id: 'a' }], { uniqueKey: 'event_id' }), 0);
+});
+
+Object.entries(ADAPTERS).forEach(([adapter, createAdapter]) => {
+    test(`${adapter}: with a uniqueKey, documents already stored or repeated in the batch are skipped`, async t => {
+        const events = createAdapter(t).collection('events');
+
+        assert.strictEqual(await events.insertMany([{ event_id: 'a' }, { event_id: 'b' }, { event_id: 'a' }], { uniqueKey: 'event_id' }), 2);
+        assert.strictEqual(await events.insertMany([{ event_id: 'b' }, { event_id: 'c' }], { uniqueKey: 'event_id' }), 1);
+        // Events from pages cached before event IDs existed have none, and are all kept
+        assert.strictEqual(await events.insertMany([{ sequence: 1 }, { sequence: 1 }], { uniqueKey: 'event_id' }), 2);
+
+        assert.strictEqual(await events.count(), 5);
+    });
+
+    test(`${adapter}: a deleted document's key can be stored again`, async t => {
+        const events = createAdapter(t).collection('events');
+        await events.insertMany([{ event_id: 'a', participant_id: 'p1' }], { uniqueKey: 'event_id' });
+        await events.deleteMany({ participant_id: 'p1' });
+
+        assert.strictEqual(await events.insertMany([{ event_id: 'a', participant_id: 'p1' }], { uniqueKey: 'event_id' }), 1);
+    });
+});
+
+test('jsonl: events stored before a restart are still recognised as duplicates', async t => {
+    const dataDir = createTempDir(t);
+    await createStore({ adapter: 'jsonl', dataDir }).collection('events').insertMany([{ event_id: 'a' }], { uniqueKey: 'event_id' });
+
+    const events = createStore({ adapter: 'jsonl', dataDir }).collection('events');
+
+    assert.strictEqual(await events.insertMany([{ event_id: 'a' }, { event_id: 'b' }], { uniqueKey: 'event_id' }), 1);
+});
+
+test('jsonl: concurrent inserts of the same event store it once', async t => {
+    const events = ADAPTERS.jsonl(t).collection('events');
+
+    const counts = await Promise.all([1, 2, 3].map(() => events.insertMany([{ event_id: 'a' }], { uniqueKey: 'event_id' })));
+
+    assert.deepStrictEqual(counts.sort(), [0, 0, 1]);
+    assert.strictEqual(await events.count(), 1);
+});
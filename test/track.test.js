@@ -0,0 +1,124 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createEvent } = require('./helpers/server');
+
+test('POST /api/track stores a valid event with server metadata', async t => {
+    const { request, store, config } = await startServer(t);
+    const event = createEvent();
+
+    const response = await request('POST', '/api/track', event, { 'User-Agent': 'test-agent' });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body, { success: true, inserted_count: 1, duplicate: false });
+    const [stored] = await store.collection(config.eventsCollection).find({ event_id: event.event_id });
+    assert.strictEqual(stored.participant_id, 'participant_1');
+    assert.strictEqual(stored.user_agent, 'test-agent');
+    assert.ok(!Number.isNaN(Date.parse(stored.received_at)));
+});
+
+test('POST /api/track answers 400 with the problems of an invalid envelope', async t => {
+    const { request, store, config } = await startServer(t);
+
+    const response = await request('POST', '/api/track', createEvent({ participant_id: '', timestamp: 'yesterday' }));
+
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(response.body.details, [
+        'participant_id must be a non-empty string',
+        'timestamp must be an ISO 8601 date string'
+    ]);
+    assert.strictEqual(await store.collection(config.eventsCollection).count(), 0);
+});
+
+test('POST /api/track answers 400 to a body that is not JSON', async t => {
+    const { base } = await startServer(t);
+
+    const response = await fetch(`${base}/api/track`, { method: 'POST', body: '{"event_name":' });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual((await response.json()).error, 'Request body is not valid JSON');
+});
+
+test('POST /api/track/batch stores the valid events and lists the rejected ones', async t => {
+    const { request, store, config } = await startServer(t);
+    const events = [createEvent(), { event_name: 'page_view' }, createEvent()];
+
+    const response = await request('POST', '/api/track/batch', { events });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.inserted_count, 2);
+    assert.strictEqual(response.body.rejected_count, 1);
+    assert.strictEqual(response.body.rejected[0].index, 1);
+    assert.strictEqual(await store.collection(config.eventsCollection).count(), 2);
+});
+
+test('POST /api/track/batch answers 400 without an events array', async t => {
+    const { request } = await startServer(t);
+
+    const response = await request('POST', '/api/track/batch', [createEvent()]);
+
+    assert.strictEqual(response.status, 400);
+});
+
+test('GET /api/health reports the storage and what was stored', async t => {
+    const { request } = await startServer(t);
+    await request('POST', '/api/track', createEvent());
+
+    const response = await request('GET', '/api/health');
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.storage, 'memory');
+    assert.strictEqual(response.body.event_count, 1);
+    assert.strictEqual(response.body.quarantined_count, 0);
+});
+
+test('unknown routes answer 404 and preflight requests 204', async t => {
+    const { base, request } = await startServer(t);
+
+    assert.strictEqual((await request('GET', '/api/nothing-here')).status, 404);
+    const preflight = await fetch(`${base}/api/track`, { method: 'OPTIONS', headers: { Origin: 'http://localhost:5500' } });
+    assert.strictEqual(preflight.status, 204);
+    assert.strictEqual(preflight.headers.get('access-control-allow-origin'), 'http://localhost:5500');
+});
+
+test('an event delivered twice (POST, then batch or beacon) is stored once', async t => {
+    const { request, store, config } = await startServer(t);
+    const event = createEvent();
+
+    await request('POST', '/api/track', event);
+    const again = await request('POST', '/api/track', event);
+    const batch = await request('POST', '/api/track/batch', { events: [event, createEvent()] });
+
+    assert.deepStrictEqual(again.body, { success: true, inserted_count: 0, duplicate: true });
+    assert.strictEqual(batch.body.inserted_count, 1);
+    assert.strictEqual(batch.body.duplicate_count, 1);
+    assert.strictEqual(await store.collection(config.eventsCollection).count(), 2);
+});
+
+test('events outside the schema registry are quarantined with the reason, not stored with the study data', async t => {
+    const { request, store, config } = await startServer(t);
+
+    const unknown = await request('POST', '/api/track', createEvent({ event_name: 'not_in_registry' }));
+    const mismatch = await request('POST', '/api/track', createEvent({ properties: { page_title: 42, referrer: null } }));
+    const batch = await request('POST', '/api/track/batch', { events: [createEvent(), createEvent({ event_name: 'not_in_registry' })] });
+
+    assert.deepStrictEqual(unknown.body, { success: true, inserted_count: 0, duplicate: false, quarantined: true, quarantine_reason: 'unknown_event' });
+    assert.strictEqual(mismatch.body.quarantine_reason, 'schema_violation');
+    assert.strictEqual(batch.body.inserted_count, 1);
+    assert.strictEqual(batch.body.quarantined_count, 1);
+    const [quarantined] = await store.collection(config.quarantineCollection).find({ event_name: 'page_view' });
+    assert.deepStrictEqual(quarantined.schema_errors, ['properties.page_title must be of type string']);
+    const [stored] = await store.collection(config.eventsCollection).find();
+    assert.strictEqual(stored.schema_version, (await request('GET', '/api/health')).body.schema_version);
+    assert.strictEqual(await store.collection(config.quarantineCollection).count(), 3);
+});
+
+test('with EVENT_SCHEMA_MODE=off every valid envelope is stored', async t => {
+    const { request, store, config } = await startServer(t, { EVENT_SCHEMA_MODE: 'off' });
+
+    await request('POST', '/api/track', createEvent({ event_name: 'not_in_registry' }));
+
+    assert.strictEqual(await store.collection(config.eventsCollection).count(), 1);
+    assert.strictEqual(await store.collection(config.quarantineCollection).count(), 0);
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createDocument, wait } = require('./helpers/browser');
+
+const PROLIFIC_ID = '5f1a2b3c4d5e6f7a8b9c0d1e';
+
+/**
+ * A page with only the GA4 sink on; GALite is already loaded and records
+ * what it would hand to gtag
+ */
+function createGaPage({ analyticsId = null } = {}) {
+    const config = { study_id: 'test_study', condition: 'feed_video', tracking: { sinks: { mongo: { enabled: false }, ga4: { enabled: true } } } };
+    const sent = [];
+    const browser = createBrowser({
+        url: `http://localhost:3000/?PROLIFIC_ID=${PROLIFIC_ID}`,
+        globals: {
+            StudyConfig: {
+                ready: Promise.resolve(config),
+                get: (key, fallback) => (key in config ? config[key] : fallback)
+            },
+            GALite: {
+                isLoaded: true,
+                userId: analyticsId,
+                track: (eventName, params) => sent.push({ eventName, params })
+            },
+            gtag: () => {}
+        }
+    });
+    browser.load('js/tracking.js');
+    return { browser, sent };
+}
+
+test('the GA4 sink never sends the Prolific ID in return_to_survey', async () => {
+    const { browser, sent } = createGaPage();
+    await browser.window.Tracking.ready;
+    await wait(10);
+
+    browser.window.Tracking.enqueue('return_to_survey', {
+        participant_id: PROLIFIC_ID,
+        session_id: 'session_1',
+        return_reason: 'participant'
+    });
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].eventName, 'return_to_survey');
+    assert.ok(!('participant_id' in sent[0].params));
+    assert.strictEqual(sent[0].params.return_reason, 'participant');
+    assert.ok(!JSON.stringify(sent).includes(PROLIFIC_ID));
+});
+
+test('the GA4 sink keeps participant_id when it is the analytics ID', async () => {
+    const { browser, sent } = createGaPage({ analyticsId: 'pseudonym_1' });
+    await browser.window.Tracking.ready;
+
+    browser.window.Tracking.track('return_to_survey', { participant_id: 'pseudonym_1' });
+
+    assert.strictEqual(sent[0].params.participant_id, 'pseudonym_1');
+});
+
+test('the GA4 sink removes the query string from assignment_redirect target_url', async () => {
+    const { browser, sent } = createGaPage();
+    await browser.window.Tracking.ready;
+
+    browser.window.Tracking.enqueue('assignment_redirect', {
+        assigned_condition: 'reel_video',
+        page_condition: 'feed_video',
+        target_url: `https://study.example.org/reel.html?PROLIFIC_ID=${PROLIFIC_ID}&STUDY_ID=s1#top`
+    });
+
+    assert.strictEqual(sent[0].params.target_url, 'https://study.example.org/reel.html');
+    assert.ok(!JSON.stringify(sent).includes(PROLIFIC_ID));
+});
+
+test('events limited to the GA4 sink do not reach the Mongo API', async () => {
+    const config = { tracking: { sinks: { mongo: { enabled: true }, ga4: { enabled: true } } } };
+    const sent = [];
+    const tracked = [];
+    const browser = createBrowser({
+        globals: {
+            StudyConfig: { ready: Promise.resolve(config), get: (key, fallback) => fallback },
+            MongoTracker: { track: name => tracked.push(name), enqueue: name => tracked.push(name) },
+            GALite: { isLoaded: true, userId: null, track: name => sent.push(name) },
+            gtag: () => {}
+        }
+    });
+    browser.load('js/tracking.js');
+    await browser.window.Tracking.ready;
+
+    browser.window.Tracking.track('video_start', { video_id: 'nyu_feed_youtube_ad' }, { sinks: ['ga4'] });
+    browser.window.Tracking.track('cta_click', { cta_type: 'like' });
+
+    assert.deepStrictEqual(sent, ['video_start', 'cta_click']);
+    assert.deepStrictEqual(tracked, ['cta_click']);
+});
+
+test('the Mongo sink keeps the time the facade recorded the event', async () => {
+    const tracked = [];
+    let applyConfig;
+    const browser = createBrowser({
+        globals: {
+            StudyConfig: { ready: new Promise(resolve => (applyConfig = resolve)), get: (key, fallback) => fallback },
+            MongoTracker: {
+                track: (name, properties, timestamp) => tracked.push({ name, timestamp }),
+                enqueue: (name, properties, timestamp) => tracked.push({ name, timestamp })
+            }
+        }
+    });
+    browser.load('js/tracking.js');
+
+    const before = Date.now();
+    browser.window.Tracking.track('consent_shown', { consent_version: '1.0' });
+    browser.window.Tracking.enqueue('return_to_survey', {});
+    await wait(50);
+    const configuredAt = Date.now();
+    applyConfig({});
+    await browser.window.Tracking.ready;
+
+    assert.deepStrictEqual(tracked.map(event => event.name), ['consent_shown', 'return_to_survey']);
+    tracked.forEach(event => {
+        const time = Date.parse(event.timestamp);
+        assert.ok(time >= before && time < configuredAt);
+    });
+});
+
+test('the legacy video tracker sends through the facade, to every sink but GA4', async () => {
+    const config = { tracking: { sinks: { console: { enabled: true }, ga4: { enabled: true } } } };
+    const sent = [];
+    const browser = createBrowser({
+        url: `http://localhost:3000/?PROLIFIC_ID=${PROLIFIC_ID}`,
+        globals: {
+            StudyConfig: { ready: Promise.resolve(config), get: (key, fallback) => fallback },
+            GALite: { isLoaded: true, userId: null, track: name => sent.push(name) },
+            gtag: () => {}
+        }
+    });
+    browser.load('js/mongo-tracker-base.js', 'js/tracking.js', 'js/mongo-tracker.js');
+    await browser.window.Tracking.ready;
+    await browser.window.MongoTracker.ready;
+
+    browser.window.MongoVideoTracker.trackVideoPlay(3, 30);
+    await wait(10);
+
+    assert.ok(browser.logs.some(line => line.includes('video_play')));
+    assert.ok(browser.postedEvents().some(event => event.event_name === 'video_play'));
+    assert.deepStrictEqual(sent, []);
+    assert.strictEqual(browser.window.Tracking.getStatus().mongo.sent, 1);
+});
+
+test('a rejected participant ID entry is tracked once, through the facade', async () => {
+    const config = { tracking: { sinks: { console: { enabled: true } } } };
+    const dom = createDocument();
+    const browser = createBrowser({
+        globals: {
+            document: dom.document,
+            StudyConfig: { ready: Promise.resolve(config), get: (key, fallback) => fallback }
+        }
+    });
+    browser.load('js/participant-id-form.js', 'js/mongo-tracker-base.js', 'js/tracking.js');
+    const ready = browser.window.MongoTracker.initialize('feed_video');
+    await wait(10);
+
+    const form = dom.find('form');
+    dom.find('[name="participant-id"]').value = 'not-an-id';
+    form.listeners.submit.forEach(callback => callback({ preventDefault() {} }));
+    dom.find('[name="participant-id"]').value = PROLIFIC_ID;
+    dom.find('[name="participant-id-confirm"]').value = PROLIFIC_ID;
+    form.listeners.submit.forEach(callback => callback({ preventDefault() {} }));
+    await ready;
+    await wait(10);
+
+    const failures = browser.postedEvents().filter(event => event.event_name === 'participant_id_validation_failed');
+    assert.strictEqual(failures.length, 1);
+    assert.strictEqual(failures[0].properties.reason, 'pattern_mismatch');
+    assert.strictEqual(browser.logs.filter(line => line.startsWith('Tracking: [') && line.includes('participant_id_validation_failed')).length, 1);
+});
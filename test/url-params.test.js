@@ -0,0 +1,25 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, wait } = require('./helpers/browser');
+
+const PROLIFIC_ID = '5f1a2b3c4d5e6f7a8b9c0d1e';
+
+test('URL parameters longer than the API accepts are left out of url_params', async () => {
+    const longValue = 'R_' + 'x'.repeat(300);
+    const browser = createBrowser({
+        url: `http://localhost:3000/?PROLIFIC_ID=${PROLIFIC_ID}&STUDY_ID=study_1&ResponseID=${longValue}`
+    });
+    browser.load('js/mongo-tracker-base.js');
+
+    await browser.window.MongoTracker.initialize('feed_video');
+    await wait(10);
+
+    const events = browser.postedEvents();
+    assert.ok(events.length > 0);
+    events.forEach(event => {
+        assert.deepStrictEqual(event.url_params, { PROLIFIC_ID: PROLIFIC_ID, STUDY_ID: 'study_1' });
+    });
+    assert.ok(browser.logs.some(line => line.startsWith('WARN') && line.includes('ResponseID')));
+});